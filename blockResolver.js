@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = process.env.BLOCK_CACHE_DIR || path.join(__dirname, 'data', 'blocks');
+const CACHE_VERSION = 1;
+
+/**
+ * Resolves timestamps to block numbers for one chain. Every block fetched is
+ * kept as a timestamp anchor, and anchors are cached on disk per chain, so a
+ * lookup starts from the closest known blocks on both sides of the timestamp.
+ * The block is estimated by interpolating between them, using the block time
+ * actually observed there, then refined until the two sides are adjacent.
+ */
+class BlockResolver {
+  /**
+   * @param {Object} options - Resolver options
+   * @param {number} options.chainId - Chain ID
+   * @param {ethers.providers.Provider} options.provider - Ethers provider for the chain
+   * @param {string} [options.dataDir] - Directory for anchor files (default: data/blocks or BLOCK_CACHE_DIR)
+   * @param {number} [options.confirmations=64] - Blocks below the newest seen block before an anchor is written to disk
+   * @param {number} [options.maxAnchors=10000] - Anchors kept on disk; the cache is thinned evenly beyond that
+   */
+  constructor(options) {
+    this.chainId = options.chainId;
+    this.provider = options.provider;
+    this.dataDir = options.dataDir || DEFAULT_DATA_DIR;
+    this.confirmations = options.confirmations !== undefined ? options.confirmations : 64;
+    this.maxAnchors = options.maxAnchors || 10000;
+    this.filePath = path.join(this.dataDir, `${this.chainId}.json`);
+
+    this.timestamps = new Map(Object.entries(this.load()).map(([number, timestamp]) => [Number(number), timestamp]));
+    // Anchor block numbers in ascending order; block timestamps never decrease
+    this.numbers = [...this.timestamps.keys()].sort((a, b) => a - b);
+    this.newestBlock = this.numbers.length > 0 ? this.numbers[this.numbers.length - 1] : 0;
+  }
+
+  /**
+   * Load the anchor file, or start without anchors
+   * @returns {Object} Map of block number to timestamp
+   */
+  load() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (state.version === CACHE_VERSION) return state.anchors;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read block cache ${this.filePath}:`, error.message);
+      }
+    }
+    return {};
+  }
+
+  /**
+   * Write confirmed anchors to disk atomically
+   */
+  save() {
+    let numbers = this.numbers.filter(number => number <= this.newestBlock - this.confirmations);
+    if (numbers.length > this.maxAnchors) {
+      const step = numbers.length / this.maxAnchors;
+      numbers = Array.from({ length: this.maxAnchors }, (_, i) => numbers[Math.floor(i * step)]);
+    }
+    const anchors = Object.fromEntries(numbers.map(number => [number, this.timestamps.get(number)]));
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: CACHE_VERSION, chainId: this.chainId, anchors }));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Record a block's timestamp
+   */
+  addAnchor(number, timestamp) {
+    if (!this.timestamps.has(number)) {
+      const index = this.indexAfter(number);
+      this.numbers.splice(index, 0, number);
+    }
+    this.timestamps.set(number, timestamp);
+    this.newestBlock = Math.max(this.newestBlock, number);
+  }
+
+  // Index of the first anchor above a block number
+  indexAfter(number) {
+    let low = 0;
+    let high = this.numbers.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.numbers[mid] <= number) low = mid + 1; else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * Fetch a block and record it as an anchor
+   * @param {number|string} blockTag - Block number or "latest"
+   * @returns {Promise<Object>} Block number and timestamp
+   */
+  async fetchBlock(blockTag) {
+    const block = await this.provider.getBlock(blockTag);
+    if (!block) {
+      throw new Error(`Block ${blockTag} not found on chain ${this.chainId}`);
+    }
+    this.addAnchor(block.number, block.timestamp);
+    return { number: block.number, timestamp: block.timestamp };
+  }
+
+  /**
+   * Timestamp of a block, from the anchors when known
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<number>} Block timestamp in seconds
+   */
+  async getBlockTimestamp(blockNumber) {
+    if (this.timestamps.has(blockNumber)) return this.timestamps.get(blockNumber);
+    return (await this.fetchBlock(blockNumber)).timestamp;
+  }
+
+  /**
+   * Find the adjacent blocks on both sides of a timestamp
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @returns {Promise<Object>} lower (last block before timestamp) and upper (first block at or after it);
+   *   either is null when no such block exists
+   */
+  async bracket(timestamp) {
+    // Closest anchors on both sides, by binary search over the anchors' timestamps
+    let low = 0;
+    let high = this.numbers.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.timestamps.get(this.numbers[mid]) < timestamp) low = mid + 1; else high = mid;
+    }
+    const anchor = index => ({ number: this.numbers[index], timestamp: this.timestamps.get(this.numbers[index]) });
+    let lower = low > 0 ? anchor(low - 1) : null;
+    let upper = low < this.numbers.length ? anchor(low) : null;
+
+    if (!upper) {
+      const head = await this.fetchBlock("latest");
+      if (head.timestamp < timestamp) return { lower: head, upper: null };
+      upper = head;
+    }
+    if (!lower) {
+      const genesis = await this.fetchBlock(0);
+      if (genesis.timestamp >= timestamp) return { lower: null, upper: genesis };
+      lower = genesis;
+    }
+
+    // When block times change inside the range, interpolation can keep landing on the same
+    // side and only move one end a little; if two probes have not halved the range, bisect
+    let steps = 0;
+    let previousSpan = Infinity;
+    let spanBefore = Infinity;
+    while (upper.number - lower.number > 1) {
+      const span = upper.number - lower.number;
+      const estimate = span > spanBefore / 2
+        ? lower.number + Math.floor(span / 2)
+        : lower.number + Math.round((timestamp - lower.timestamp) / (upper.timestamp - lower.timestamp) * span);
+      spanBefore = previousSpan;
+      previousSpan = span;
+      const block = await this.fetchBlock(Math.min(Math.max(estimate, lower.number + 1), upper.number - 1));
+      if (block.timestamp < timestamp) lower = block; else upper = block;
+      steps++;
+    }
+
+    if (steps > 0) this.save();
+    return { lower, upper };
+  }
+
+  /**
+   * First block with a timestamp at or after the given time
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @returns {Promise<number|null>} Block number, or null when no block is that recent yet
+   */
+  async findBlockAtOrAfter(timestamp) {
+    const { upper } = await this.bracket(timestamp);
+    return upper ? upper.number : null;
+  }
+
+  /**
+   * Last block with a timestamp before the given time
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @returns {Promise<number|null>} Block number, or null when the chain starts at or after that time
+   */
+  async findBlockBefore(timestamp) {
+    const { lower } = await this.bracket(timestamp);
+    return lower ? lower.number : null;
+  }
+}
+
+// One resolver per provider and chain, so anchors are shared between calls
+const resolvers = new WeakMap();
+
+/**
+ * Get the shared block resolver of a chain
+ * @param {number} chainId - Chain ID
+ * @param {ethers.providers.Provider} provider - Ethers provider for the chain
+ * @returns {BlockResolver} Block resolver
+ */
+function getBlockResolver(chainId, provider) {
+  if (!resolvers.has(provider)) resolvers.set(provider, new Map());
+  const byChain = resolvers.get(provider);
+  if (!byChain.has(chainId)) byChain.set(chainId, new BlockResolver({ chainId, provider }));
+  return byChain.get(chainId);
+}
+
+module.exports = {
+  BlockResolver,
+  getBlockResolver
+};
@@ -0,0 +1,190 @@
+const { ethers } = require("ethers");
+
+const { getChainConfig, parseWindow, POOL_ABI, ERC20_ABI } = require('./poolAnalytics');
+const { PoolEventStore } = require('./eventStore');
+const { getBlockResolver } = require('./blockResolver');
+const { sqrtPriceX96ToPrice, invertPrice, normalizeAmount, toNumber } = require('./poolMath');
+
+// Supported candle intervals in seconds
+const INTERVALS = {
+  "1m": 60,
+  "5m": 300,
+  "1h": 3600,
+  "1d": 86400
+};
+
+const CSV_COLUMNS = ["time", "open", "high", "low", "close", "volumeBase", "volumeQuote", "trades"];
+
+/**
+ * Build OHLCV candles from Swap events. Prices are the pool price after each
+ * swap, taken from the event's sqrtPriceX96; a candle opens at the previous
+ * candle's close so consecutive bars connect, and the first one at the pool
+ * price before the window (openSqrtPriceX96) when it is known.
+ * @param {Array<Object>} swaps - Swap events from the event store, in chain order
+ * @param {Object} options - Candle options
+ * @param {string} options.interval - Candle interval: "1m", "5m", "1h" or "1d"
+ * @param {Object} options.timestamps - Map of block number to block timestamp
+ * @param {number} options.decimals0 - token0 decimals
+ * @param {number} options.decimals1 - token1 decimals
+ * @param {boolean} [options.invert=false] - Quote token0 in token1 (false) or token1 in token0 (true)
+ * @param {boolean} [options.fill=false] - Emit flat, zero-volume candles for intervals without swaps
+ * @param {string} [options.openSqrtPriceX96] - Pool price before the first swap; without it the first
+ *   candle opens at the price after its first swap
+ * @returns {Array<Object>} Candles ordered by time
+ */
+function buildCandles(swaps, options) {
+  const { interval, timestamps, decimals0, decimals1, invert = false, fill = false, openSqrtPriceX96 = null } = options;
+  const intervalSeconds = INTERVALS[interval];
+  if (!intervalSeconds) {
+    throw new Error(`Unsupported interval "${interval}". Supported intervals: ${Object.keys(INTERVALS).join(', ')}`);
+  }
+
+  const candles = [];
+  let current = null;
+  const toPrice = sqrtPriceX96 => {
+    const price0 = sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1);
+    return toNumber(invert ? invertPrice(price0) : price0);
+  };
+  let lastClose = openSqrtPriceX96 !== null ? toPrice(openSqrtPriceX96) : null;
+
+  for (const swap of swaps) {
+    const timestamp = timestamps[swap.blockNumber];
+    if (timestamp === undefined) {
+      throw new Error(`Missing timestamp for block ${swap.blockNumber}`);
+    }
+    const bucket = Math.floor(timestamp / intervalSeconds) * intervalSeconds;
+
+    const price = toPrice(swap.args.sqrtPriceX96);
+    const amount0 = Math.abs(normalizeAmount(swap.args.amount0, decimals0));
+    const amount1 = Math.abs(normalizeAmount(swap.args.amount1, decimals1));
+
+    if (!current || current.timestamp !== bucket) {
+      if (current) {
+        candles.push(current);
+        if (fill) {
+          for (let t = current.timestamp + intervalSeconds; t < bucket; t += intervalSeconds) {
+            candles.push(emptyCandle(t, current.close));
+          }
+        }
+      }
+      const open = lastClose !== null ? lastClose : price;
+      current = {
+        timestamp: bucket,
+        time: new Date(bucket * 1000).toISOString(),
+        open,
+        high: Math.max(open, price),
+        low: Math.min(open, price),
+        close: price,
+        volumeBase: 0,
+        volumeQuote: 0,
+        trades: 0
+      };
+    }
+
+    current.high = Math.max(current.high, price);
+    current.low = Math.min(current.low, price);
+    current.close = price;
+    current.volumeBase += invert ? amount1 : amount0;
+    current.volumeQuote += invert ? amount0 : amount1;
+    current.trades++;
+    lastClose = price;
+  }
+
+  if (current) candles.push(current);
+  return candles;
+}
+
+function emptyCandle(timestamp, price) {
+  return {
+    timestamp,
+    time: new Date(timestamp * 1000).toISOString(),
+    open: price,
+    high: price,
+    low: price,
+    close: price,
+    volumeBase: 0,
+    volumeQuote: 0,
+    trades: 0
+  };
+}
+
+/**
+ * Format candles as CSV with a header row
+ * @param {Array<Object>} candles - Candles from buildCandles
+ * @returns {string} CSV text
+ */
+function candlesToCSV(candles) {
+  const rows = candles.map(candle => CSV_COLUMNS.map(column => candle[column]).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Build candles for a Uniswap V3 pool from its stored Swap events
+ * @param {Object} params - Parameters for the candles
+ * @param {number} params.chainId - Chain ID of the pool
+ * @param {string} params.poolAddress - Uniswap V3 pool address
+ * @param {string} [params.interval="1h"] - Candle interval: "1m", "5m", "1h" or "1d"
+ * @param {string|number} [params.window="24h"] - Lookback window
+ * @param {boolean} [params.invert=false] - Quote token1 in token0 instead of token0 in token1
+ * @param {boolean} [params.fill=false] - Emit flat candles for intervals without swaps
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @param {PoolEventStore} [params.store] - Event store to use instead of the pool's default store
+ * @returns {Promise<Object>} Pool, base and quote symbols, interval and candles
+ */
+async function getPoolCandles(params) {
+  const { chainId, interval = "1h", window = "24h", invert = false, fill = false } = params;
+  const config = getChainConfig(chainId);
+  if (!INTERVALS[interval]) {
+    throw new Error(`Unsupported interval "${interval}". Supported intervals: ${Object.keys(INTERVALS).join(', ')}`);
+  }
+  const windowSeconds = parseWindow(window);
+  const poolAddress = ethers.utils.getAddress(params.poolAddress);
+
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const store = params.store || new PoolEventStore({ chainId, poolAddress, provider });
+  const pool = new ethers.Contract(poolAddress, POOL_ABI, provider);
+
+  const [token0Address, token1Address] = await Promise.all([pool.token0(), pool.token1()]);
+  const token0 = new ethers.Contract(token0Address, ERC20_ABI, provider);
+  const token1 = new ethers.Contract(token1Address, ERC20_ABI, provider);
+  const [decimals0, decimals1, symbol0, symbol1] = await Promise.all([
+    token0.decimals(),
+    token1.decimals(),
+    token0.symbol().catch(() => "Unknown"),
+    token1.symbol().catch(() => "Unknown")
+  ]);
+
+  const blocks = getBlockResolver(chainId, provider);
+  const toBlock = await provider.getBlockNumber();
+  const fromBlock = await blocks.findBlockAtOrAfter(await blocks.getBlockTimestamp(toBlock) - windowSeconds);
+
+  await store.sync({ fromBlock, toBlock });
+  const swaps = store.getEvents({ type: "Swap", fromBlock, toBlock });
+  const timestamps = await store.getBlockTimestamps(swaps.map(swap => swap.blockNumber));
+
+  // Pool price at the window start: the last stored swap before it, else slot0 (archive RPC)
+  const before = store.getEvents({ type: "Swap", toBlock: fromBlock - 1 });
+  const openSqrtPriceX96 = before.length > 0
+    ? before[before.length - 1].args.sqrtPriceX96
+    : await pool.slot0({ blockTag: fromBlock - 1 })
+      .then(state => state.sqrtPriceX96.toString())
+      .catch(() => null);
+
+  return {
+    chainId,
+    poolAddress,
+    base: invert ? symbol1 : symbol0,
+    quote: invert ? symbol0 : symbol1,
+    interval,
+    fromBlock,
+    toBlock,
+    candles: buildCandles(swaps, { interval, timestamps, decimals0, decimals1, invert, fill, openSqrtPriceX96 })
+  };
+}
+
+module.exports = {
+  buildCandles,
+  candlesToCSV,
+  getPoolCandles,
+  INTERVALS
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// chainConfigs.js needs an RPC key to load; nothing here makes RPC calls
+process.env.INFURA_KEY = process.env.INFURA_KEY || "test";
+
+const { buildCandles, candlesToCSV } = require('./candles');
+
+const Q96 = 2n ** 96n;
+
+// Swap leaving the pool at `price` token1 per token0 (a perfect square, for an exact sqrtPriceX96)
+function swap(blockNumber, price, amount0 = "1", amount1 = "-1") {
+  const sqrtPriceX96 = BigInt(Math.sqrt(price)) * Q96;
+  return { blockNumber, args: { sqrtPriceX96: sqrtPriceX96.toString(), amount0, amount1 } };
+}
+
+// Blocks 1 and 2 in the first minute, 3 in the second, 4 in the fourth
+const timestamps = { 1: 0, 2: 30, 3: 60, 4: 180 };
+const options = { interval: "1m", timestamps, decimals0: 0, decimals1: 0 };
+
+test('buildCandles groups swaps by interval and opens at the previous close', () => {
+  const candles = buildCandles([swap(1, 4), swap(2, 16), swap(3, 9), swap(4, 25)], options);
+  assert.deepEqual(candles.map(({ time, open, high, low, close, trades }) => ({ time, open, high, low, close, trades })), [
+    { time: "1970-01-01T00:00:00.000Z", open: 4, high: 16, low: 4, close: 16, trades: 2 },
+    { time: "1970-01-01T00:01:00.000Z", open: 16, high: 16, low: 9, close: 9, trades: 1 },
+    { time: "1970-01-01T00:03:00.000Z", open: 9, high: 25, low: 9, close: 25, trades: 1 }
+  ]);
+});
+
+test('buildCandles opens the first candle at the price before the window', () => {
+  const [first] = buildCandles([swap(1, 4), swap(2, 16)], { ...options, openSqrtPriceX96: (6n * Q96).toString() });
+  assert.equal(first.open, 36);
+  assert.equal(first.high, 36);
+  assert.equal(first.low, 4);
+  assert.equal(first.close, 16);
+});
+
+test('buildCandles sums volumes and can invert the quote', () => {
+  const swaps = [swap(1, 4, "2", "-8"), swap(2, 4, "-1", "4")];
+  const [candle] = buildCandles(swaps, options);
+  assert.equal(candle.volumeBase, 3);
+  assert.equal(candle.volumeQuote, 12);
+
+  const [inverted] = buildCandles(swaps, { ...options, invert: true });
+  assert.equal(inverted.close, 0.25);
+  assert.equal(inverted.volumeBase, 12);
+  assert.equal(inverted.volumeQuote, 3);
+});
+
+test('buildCandles fills intervals without swaps when asked', () => {
+  const candles = buildCandles([swap(3, 9), swap(4, 25)], { ...options, fill: true });
+  assert.deepEqual(candles.map(candle => [candle.timestamp, candle.open, candle.close, candle.trades]), [
+    [60, 9, 9, 1],
+    [120, 9, 9, 0],
+    [180, 9, 25, 1]
+  ]);
+});
+
+test('buildCandles rejects unknown intervals and missing timestamps', () => {
+  assert.throws(() => buildCandles([], { ...options, interval: "2h" }), /Unsupported interval "2h"/);
+  assert.throws(() => buildCandles([swap(9, 4)], options), /Missing timestamp for block 9/);
+  assert.deepEqual(buildCandles([], options), []);
+});
+
+test('candlesToCSV writes a header and one row per candle', () => {
+  const csv = candlesToCSV(buildCandles([swap(1, 4)], options));
+  assert.equal(csv, "time,open,high,low,close,volumeBase,volumeQuote,trades\n1970-01-01T00:00:00.000Z,4,4,4,4,1,1,1");
+});
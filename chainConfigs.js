@@ -10,58 +10,109 @@ const CHAIN_CONFIGS = {
   1: { // Ethereum Mainnet
     rpcUrl: `https://mainnet.infura.io/v3/${INFURA_KEY}`,
     swapRouter: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
+    quoterV2: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
     poolFactory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+    positionManager: "0xC36442b4a4522E871399CD717aBDD847Ab11FE88",
+    v2Factory: "0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f",
+    v4PoolManager: "0x000000000004444c5dc75cB358380D2e3dE08A90",
     weth: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+    nativeSymbol: "ETH",
     name: "Ethereum"
   },
   10: { // Optimism
     rpcUrl: `https://optimism-mainnet.infura.io/v3/${INFURA_KEY}`,
     swapRouter: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
+    quoterV2: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
     poolFactory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+    positionManager: "0xC36442b4a4522E871399CD717aBDD847Ab11FE88",
+    v2Factory: "0x0c3c1c532F1e39EdF36BE9Fe0bE1410313E074Bf",
+    v4PoolManager: "0x9a13F98Cb987694C9F086b1F5eB990EeA8264Ec3",
     weth: "0x4200000000000000000000000000000000000006",
+    nativeSymbol: "ETH",
     name: "Optimism"
   },
   137: { // Polygon
     rpcUrl: `https://polygon-mainnet.infura.io/v3/${INFURA_KEY}`,
     swapRouter: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
+    quoterV2: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
     poolFactory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+    positionManager: "0xC36442b4a4522E871399CD717aBDD847Ab11FE88",
+    v2Factory: "0x9e5A52f57b3038F1B8EeE45F28b3C1967e22799C",
+    v4PoolManager: "0x67366782805870060151383F4BbFF9daB53e5cD6",
     weth: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270",
+    nativeSymbol: "POL",
     name: "Polygon"
   },
   42161: { // Arbitrum One
     rpcUrl: `https://arbitrum-mainnet.infura.io/v3/${INFURA_KEY}`,
     swapRouter: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
+    quoterV2: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
     poolFactory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+    positionManager: "0xC36442b4a4522E871399CD717aBDD847Ab11FE88",
+    v2Factory: "0xf1D7CC64Fb4452F05c498126312eBE29f30Fbcf9",
+    v4PoolManager: "0x360E68faCcca8cA495c1B759Fd9EEe466db9FB32",
     weth: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1",
+    nativeSymbol: "ETH",
     name: "Arbitrum One"
   },
   42220: { // Celo
     rpcUrl: `https://celo-mainnet.infura.io/v3/${INFURA_KEY}`,
     swapRouter: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
-    poolFactory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+    quoterV2: "0x82825d0554fA07f7FC52Ab63c961F330fdEFa8E8",
+    poolFactory: "0xAfE208a311B21f13EF87E33A90049fC17A7acDEc",
+    positionManager: "0x3d79EdAaBC0EaB6F08ED885C05Fc0B014290D95A",
+    v2Factory: "0x79a530c8e2fA8748B7B40dd3629C0520c2cCf03f",
     weth: "0x471EcE3750Da237f93B8E339c536989b8978a438", // CELO (not WETH)
+    nativeSymbol: "CELO",
     name: "Celo"
   },
   56: { // BNB Chain
     rpcUrl: "https://bsc-dataseed.binance.org/",
     swapRouter: "0xB971eF87edeb8e677893eAf6B013cA363c0eB0B2",
+    quoterV2: "0x78D78E420Da98ad378D7799bE8f4AF69033EB077",
     poolFactory: "0xdB1d10011AD0Ff90774D0C6Bb92e5C5c8b4461F7",
+    positionManager: "0x7b8A01B39D58278b5DE7e48c8449c9f4F5170613",
+    v2Factory: "0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6",
+    v4PoolManager: "0x28e2Ea090877bF75740558f6BFB36A5ffeE9e9dF",
     weth: "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c", // WBNB
+    nativeSymbol: "BNB",
     name: "BNB Chain"
   },
   43114: { // Avalanche
     rpcUrl: `https://avalanche-mainnet.infura.io/v3/${INFURA_KEY}`,
     swapRouter: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
-    poolFactory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+    quoterV2: "0xbe0F5544EC67e9B3b2D979aaA43f18Fd87E6257F",
+    poolFactory: "0x740b1c1de25031C31FF4fC9A62f554A55cdC1baD",
+    positionManager: "0x655C406EBFa14EE2006250925e54ec43AD184f8B",
+    v2Factory: "0x9e5A52f57b3038F1B8EeE45F28b3C1967e22799C",
+    v4PoolManager: "0x06380C0e0912312B5150364B9DC4542BA0DbBc85",
     weth: "0xB31f66AA3C1e785363F0875A1B74E27b85FD66c7", // WAVAX
+    nativeSymbol: "AVAX",
     name: "Avalanche"
   },
   8453: { // Base
     rpcUrl: `https://base-mainnet.infura.io/v3/${INFURA_KEY}`,
     swapRouter: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
-    poolFactory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+    quoterV2: "0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a",
+    poolFactory: "0x33128a8fC17869897dcE68Ed026d694621f6FDfD",
+    positionManager: "0x03a520b32C04BF3bEEf7BEb72E919cf822Ed34f1",
+    v2Factory: "0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6",
+    v4PoolManager: "0x498581fF718922c3f8e6A244956aF099B2652b2b",
     weth: "0x4200000000000000000000000000000000000006",
+    nativeSymbol: "ETH",
     name: "Base"
+  },
+  130: { // Unichain
+    rpcUrl: `https://unichain-mainnet.infura.io/v3/${INFURA_KEY}`,
+    swapRouter: "0x73855d06DE49d0fe4A9c42636Ba96c62da12FF9C",
+    quoterV2: "0x385A5cf5F83e99f7BB2852b6A19C3538b9FA7658",
+    poolFactory: "0x1F98400000000000000000000000000000000003",
+    positionManager: "0x943e6e07a7E8E791dAFC44083e54041D743C46E9",
+    v2Factory: "0x1F98400000000000000000000000000000000002",
+    v4PoolManager: "0x1F98400000000000000000000000000000000004",
+    weth: "0x4200000000000000000000000000000000000006",
+    nativeSymbol: "ETH",
+    name: "Unichain"
   }
 };
 
@@ -0,0 +1,313 @@
+const { ethers } = require("ethers");
+const {
+  AlphaRouter,
+  UniswapMulticallProvider,
+  V3PoolProvider,
+  CachingV3PoolProvider,
+  TokenProvider,
+  CachingTokenProviderWithFallback,
+  OnChainGasPriceProvider,
+  EIP1559GasPriceProvider,
+  LegacyGasPriceProvider,
+  CachingGasStationProvider
+} = require("@uniswap/smart-order-router");
+
+const CHAIN_CONFIGS = require('./chainConfigs');
+const { createUSDPricer } = require('./usdPricing');
+
+// Seconds entries stay in the router's caches, the same as the router's own defaults
+const CACHE_TTLS = {
+  pools: 360,
+  tokens: 3600,
+  gasPrices: 7
+};
+
+// Seconds a chain's USD pricer is kept; it memoizes prices, so it is replaced rather than kept for the context's life
+const PRICER_TTL = 60;
+
+// Default logger: the registry runs inside the stdio MCP server, so it stays quiet unless given one
+const SILENT_LOGGER = { warn() {} };
+
+/**
+ * In-memory cache with the interface of the router's ICache, so the router's
+ * caching providers can be cleared and measured
+ */
+class MemoryCache {
+  /**
+   * @param {number} ttl - Default time to live in seconds
+   */
+  constructor(ttl) {
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async batchGet(keys) {
+    const values = {};
+    for (const key of keys) values[key] = await this.get(key);
+    return values;
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    this.entries.set(key, { value, expires: Date.now() + ttl * 1000 });
+    return true;
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== undefined;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * One provider and one AlphaRouter per chain, created on first use and shared
+ * by every quote on that chain, so the router's pool, token and gas price
+ * caches survive between calls. A context is dropped and rebuilt on reset(),
+ * or after too many consecutive failures.
+ */
+class ChainContextRegistry {
+  /**
+   * @param {Object} [options] - Registry options
+   * @param {Function} [options.createProvider] - (chainId, config) => provider (default: a StaticJsonRpcProvider on the chain RPC)
+   * @param {Function} [options.createCache] - (name, chainId, ttl) => cache with get, batchGet, set and has, for
+   *   sharing the router's caches (e.g. in Redis); name is "pools", "tokens" or "gasPrices" (default: in memory)
+   * @param {Function} [options.routerOptions] - (chainId, provider) => extra AlphaRouter constructor options
+   * @param {number} [options.maxConsecutiveFailures=3] - Failures reported in a row before a context is rebuilt
+   * @param {number} [options.healthTimeout=5000] - Milliseconds a health check waits for the RPC
+   * @param {Object} [options.logger] - Receives context resets through warn(message), e.g. console
+   */
+  constructor(options = {}) {
+    this.createProvider = options.createProvider
+      || ((chainId, config) => new ethers.providers.StaticJsonRpcProvider(config.rpcUrl, chainId));
+    this.createCache = options.createCache || ((name, chainId, ttl) => new MemoryCache(ttl));
+    this.routerOptions = options.routerOptions || (() => ({}));
+    this.maxConsecutiveFailures = options.maxConsecutiveFailures || 3;
+    this.healthTimeout = options.healthTimeout || 5000;
+    this.logger = options.logger || SILENT_LOGGER;
+    this.contexts = new Map();
+  }
+
+  /**
+   * Get or create the context of a chain
+   * @param {number} chainId - Chain ID
+   * @returns {Object} chainId, config, provider, router and the router's caches
+   */
+  get(chainId) {
+    chainId = Number(chainId);
+    if (!this.contexts.has(chainId)) {
+      const config = CHAIN_CONFIGS[chainId];
+      if (!config) {
+        const supportedChains = Object.entries(CHAIN_CONFIGS)
+          .map(([id, { name }]) => `${id} - ${name}`)
+          .join(', ');
+        throw new Error(`Unsupported chainId: ${chainId}. Supported chains: ${supportedChains}`);
+      }
+      this.contexts.set(chainId, this.createContext(chainId, config));
+    }
+    return this.contexts.get(chainId);
+  }
+
+  createContext(chainId, config) {
+    const provider = this.createProvider(chainId, config);
+    const caches = Object.fromEntries(Object.entries(CACHE_TTLS).map(([name, ttl]) => [name, this.createCache(name, chainId, ttl)]));
+
+    const multicall2Provider = new UniswapMulticallProvider(chainId, provider);
+    const router = new AlphaRouter({
+      chainId,
+      provider,
+      multicall2Provider,
+      v3PoolProvider: new CachingV3PoolProvider(chainId, new V3PoolProvider(chainId, multicall2Provider), caches.pools),
+      tokenProvider: new CachingTokenProviderWithFallback(chainId, caches.tokens, new TokenProvider(chainId, multicall2Provider)),
+      gasPriceProvider: new CachingGasStationProvider(
+        chainId,
+        new OnChainGasPriceProvider(chainId, new EIP1559GasPriceProvider(provider), new LegacyGasPriceProvider(provider)),
+        caches.gasPrices
+      ),
+      ...this.routerOptions(chainId, provider)
+    });
+
+    return {
+      chainId,
+      config,
+      provider,
+      router,
+      caches,
+      pricer: null,
+      pricerCreatedAt: null,
+      createdAt: Date.now(),
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * USD pricer of a chain from usdPricing.js on the chain's provider, shared by
+   * every quote that prices gas in USD until it is PRICER_TTL seconds old
+   * @param {number} chainId - Chain ID
+   * @returns {Object} Pricer with a getPrice(tokenAddress) method
+   */
+  getPricer(chainId) {
+    const context = this.get(chainId);
+    if (!context.pricer || Date.now() - context.pricerCreatedAt > PRICER_TTL * 1000) {
+      context.pricer = createUSDPricer(context.chainId, context.provider);
+      context.pricerCreatedAt = Date.now();
+    }
+    return context.pricer;
+  }
+
+  /**
+   * Record a successful call made with a chain's context
+   * @param {number} chainId - Chain ID
+   */
+  reportSuccess(chainId) {
+    const context = this.contexts.get(Number(chainId));
+    if (!context) return;
+    context.successes++;
+    context.consecutiveFailures = 0;
+  }
+
+  /**
+   * Record a failed call made with a chain's context; after maxConsecutiveFailures
+   * in a row the context is reset, so the next call gets a fresh provider and router
+   * @param {number} chainId - Chain ID
+   * @param {Error} error - The failure
+   * @returns {boolean} Whether the context was reset
+   */
+  reportFailure(chainId, error) {
+    const context = this.contexts.get(Number(chainId));
+    if (!context) return false;
+    context.failures++;
+    context.consecutiveFailures++;
+    context.lastError = { message: error && error.message ? error.message : String(error), at: new Date().toISOString() };
+    if (context.consecutiveFailures >= this.maxConsecutiveFailures) {
+      this.logger.warn(`Resetting ${context.config.name} chain context after ${context.consecutiveFailures} consecutive failures: ${context.lastError.message}`);
+      this.reset(chainId);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Wait for a call made with a chain's context and report its outcome
+   * @param {number} chainId - Chain ID
+   * @param {Promise} call - Pending call, e.g. router.route(...)
+   * @returns {Promise} The call's result
+   */
+  async track(chainId, call) {
+    try {
+      const result = await call;
+      this.reportSuccess(chainId);
+      return result;
+    } catch (error) {
+      this.reportFailure(chainId, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the context of one chain, or of every chain, clearing the router's caches
+   * @param {number} [chainId] - Chain ID; all chains when omitted
+   * @returns {Array<number>} Chain IDs that were reset
+   */
+  reset(chainId) {
+    const chainIds = chainId !== undefined ? [Number(chainId)] : [...this.contexts.keys()];
+    return chainIds.filter(id => {
+      const context = this.contexts.get(id);
+      if (!context) return false;
+      for (const cache of Object.values(context.caches)) {
+        if (typeof cache.clear === "function") cache.clear();
+      }
+      this.contexts.delete(id);
+      return true;
+    });
+  }
+
+  /**
+   * Counters and cache sizes of the live contexts, without RPC calls
+   * @returns {Array<Object>} One entry per chain with a context
+   */
+  getStats() {
+    return [...this.contexts.values()].map(context => ({
+      chainId: context.chainId,
+      chainName: context.config.name,
+      createdAt: new Date(context.createdAt).toISOString(),
+      successes: context.successes,
+      failures: context.failures,
+      consecutiveFailures: context.consecutiveFailures,
+      lastError: context.lastError,
+      cacheSizes: Object.fromEntries(Object.entries(context.caches).map(([name, cache]) => [name, typeof cache.size === "number" ? cache.size : null]))
+    }));
+  }
+
+  /**
+   * Check that the RPC of one chain, or of every live context, answers
+   * @param {number} [chainId] - Chain ID; creates its context if needed. All live contexts when omitted
+   * @returns {Promise<Array<Object>>} Stats of each chain plus healthy, blockNumber, latencyMs and error
+   */
+  async health(chainId) {
+    if (chainId !== undefined) this.get(chainId);
+    const chainIds = chainId !== undefined ? [Number(chainId)] : [...this.contexts.keys()];
+    const stats = new Map(this.getStats().map(entry => [entry.chainId, entry]));
+
+    return Promise.all(chainIds.map(async id => {
+      const started = Date.now();
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${this.healthTimeout}ms`)), this.healthTimeout);
+      });
+      try {
+        const blockNumber = await Promise.race([this.contexts.get(id).provider.getBlockNumber(), timeout]);
+        return { ...stats.get(id), healthy: true, blockNumber, latencyMs: Date.now() - started, error: null };
+      } catch (error) {
+        return { ...stats.get(id), healthy: false, blockNumber: null, latencyMs: Date.now() - started, error: error.message };
+      } finally {
+        clearTimeout(timer);
+      }
+    }));
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * The chain context registry shared by tokenUtils, the price feed and the MCP server
+ * @returns {ChainContextRegistry} Chain context registry
+ */
+function getChainContextRegistry() {
+  if (!defaultRegistry) defaultRegistry = new ChainContextRegistry();
+  return defaultRegistry;
+}
+
+/**
+ * Shared provider and router of a chain
+ * @param {number} chainId - Chain ID
+ * @returns {Object} chainId, config, provider and router
+ */
+function getChainContext(chainId) {
+  return getChainContextRegistry().get(chainId);
+}
+
+module.exports = {
+  ChainContextRegistry,
+  MemoryCache,
+  getChainContextRegistry,
+  getChainContext
+};
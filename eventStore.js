@@ -0,0 +1,398 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require("ethers");
+
+const { fetchLogs, DEFAULT_OPTIONS: LOG_OPTIONS } = require('./logFetcher');
+
+const DEFAULT_DATA_DIR = process.env.EVENT_STORE_DIR || path.join(__dirname, 'data', 'events');
+const STORE_VERSION = 3;
+
+// Default logger: the store runs inside the stdio MCP server, so it stays quiet unless given one
+const SILENT_LOGGER = { warn() {} };
+
+// Events recorded for every tracked pool
+const POOL_EVENTS_ABI = [
+  "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+  "event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+  "event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+  "event Collect(address indexed owner, address recipient, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount0, uint128 amount1)"
+];
+
+/**
+ * File-based store of a pool's Swap/Mint/Burn/Collect events (or the events of
+ * a custom ABI, such as a V2 pair's). Each pool is kept in one
+ * JSON file holding a contiguous block range [startBlock, lastSyncedBlock], so
+ * later syncs only fetch new blocks. Block hashes near the head are kept to
+ * detect chain reorganizations and roll back the affected events.
+ */
+class PoolEventStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.chainId - Chain ID of the pool
+   * @param {string} options.poolAddress - Pool address
+   * @param {ethers.providers.Provider} options.provider - Ethers provider for the chain
+   * @param {string} [options.dataDir] - Directory for store files (default: data/events or EVENT_STORE_DIR)
+   * @param {number} [options.reorgDepth=64] - Number of blocks below the head whose hashes are checked
+   * @param {Object} [options.logOptions] - Options passed to fetchLogs
+   * @param {string[]} [options.eventsAbi] - Events to record (default: POOL_EVENTS_ABI, the V3 pool events)
+   * @param {string} [options.poolId] - V4 pool ID; events of the singleton at poolAddress are filtered by it
+   * @param {Object} [options.logger] - Receives unreadable files, resyncs, deep reorgs and reads outside the synced range through warn(message), e.g. console
+   */
+  constructor(options) {
+    this.chainId = options.chainId;
+    this.poolAddress = ethers.utils.getAddress(options.poolAddress);
+    this.provider = options.provider;
+    this.dataDir = options.dataDir || DEFAULT_DATA_DIR;
+    this.reorgDepth = options.reorgDepth || 64;
+    this.logOptions = options.logOptions || {};
+    this.iface = new ethers.utils.Interface(options.eventsAbi || POOL_EVENTS_ABI);
+    this.eventTypes = this.iface.fragments.filter(fragment => fragment.type === "event").map(fragment => fragment.name);
+    this.poolId = options.poolId ? options.poolId.toLowerCase() : null;
+    this.logger = options.logger || SILENT_LOGGER;
+    this.filePath = path.join(this.dataDir, `${this.chainId}-${this.poolId || this.poolAddress.toLowerCase()}.json`);
+    this.state = this.load();
+  }
+
+  /**
+   * Load the store file, or start an empty store
+   */
+  load() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (state.version === STORE_VERSION) return state;
+      this.logger.warn(`Event store ${this.filePath} has version ${state.version}, resyncing`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to read event store ${this.filePath}: ${error.message}`);
+      }
+    }
+    return {
+      version: STORE_VERSION,
+      chainId: this.chainId,
+      poolAddress: this.poolAddress,
+      startBlock: null,
+      lastSyncedBlock: null,
+      recentBlocks: [],
+      blockTimestamps: {},
+      transactions: {},
+      metadata: {},
+      events: []
+    };
+  }
+
+  /**
+   * Write the store file atomically
+   */
+  save() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get startBlock() {
+    return this.state.startBlock;
+  }
+
+  get lastSyncedBlock() {
+    return this.state.lastSyncedBlock;
+  }
+
+  /**
+   * Get a stored metadata value (e.g. the pool creation block)
+   */
+  getMetadata(key) {
+    return this.state.metadata[key];
+  }
+
+  /**
+   * Set a metadata value; persisted on the next save
+   */
+  setMetadata(key, value) {
+    this.state.metadata[key] = value;
+  }
+
+  /**
+   * Sync the store so it covers [fromBlock, head]
+   * @param {Object} [options] - Sync options
+   * @param {number} [options.fromBlock] - First block that must be covered (default: current startBlock or head)
+   * @param {number} [options.toBlock] - Block to sync up to (default: latest)
+   * @returns {Promise<Object>} Sync summary: new events, rolled back events and covered range
+   */
+  async sync(options = {}) {
+    const head = options.toBlock !== undefined ? options.toBlock : await this.provider.getBlockNumber();
+    let rolledBack = 0;
+    let added = 0;
+
+    if (this.state.lastSyncedBlock !== null) {
+      rolledBack = await this.handleReorg();
+    }
+
+    const fromBlock = options.fromBlock !== undefined
+      ? options.fromBlock
+      : (this.state.startBlock !== null ? this.state.startBlock : head);
+
+    if (this.state.startBlock === null || this.state.lastSyncedBlock === null) {
+      // Empty store: fetch the whole requested range
+      const events = await this.fetchEvents(fromBlock, head);
+      this.state.events = events;
+      this.state.startBlock = fromBlock;
+      this.state.lastSyncedBlock = head;
+      added += events.length;
+    } else {
+      // Backfill blocks before the covered range
+      if (fromBlock < this.state.startBlock) {
+        const events = await this.fetchEvents(fromBlock, this.state.startBlock - 1);
+        this.state.events = events.concat(this.state.events);
+        this.state.startBlock = fromBlock;
+        added += events.length;
+      }
+      // Fetch blocks after the covered range
+      if (head > this.state.lastSyncedBlock) {
+        const events = await this.fetchEvents(this.state.lastSyncedBlock + 1, head);
+        this.state.events = this.state.events.concat(events);
+        this.state.lastSyncedBlock = head;
+        added += events.length;
+      }
+    }
+
+    await this.recordHead();
+    this.save();
+
+    return {
+      added,
+      rolledBack,
+      startBlock: this.state.startBlock,
+      lastSyncedBlock: this.state.lastSyncedBlock
+    };
+  }
+
+  /**
+   * Fetch a block, retrying while the node returns null. A load-balanced RPC
+   * can briefly lag behind the head, and a missing block is not a reorg.
+   * Retries and backoff follow logOptions, like log fetching
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<Object>} The block
+   */
+  async getBlock(blockNumber) {
+    const { retries, retryDelay } = { ...LOG_OPTIONS, ...this.logOptions };
+    for (let attempt = 0; ; attempt++) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (block) return block;
+      if (attempt >= retries) {
+        throw new Error(`Block #${blockNumber} not found on chain ${this.chainId} after ${retries} retries`);
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt));
+    }
+  }
+
+  /**
+   * Compare stored block hashes with the chain and roll back events after the
+   * newest block that still matches. Only a hash mismatch counts as a reorg;
+   * a block the node cannot return fails the sync instead
+   * @returns {Promise<number>} Number of events rolled back
+   */
+  async handleReorg() {
+    const recent = [...this.state.recentBlocks].sort((a, b) => b.number - a.number);
+    if (recent.length === 0) return 0;
+
+    let canonicalBlock = null;
+    for (const { number, hash } of recent) {
+      const block = await this.getBlock(number);
+      if (block.hash === hash) {
+        canonicalBlock = number;
+        break;
+      }
+    }
+
+    // The newest recorded block is still canonical: nothing to roll back
+    if (canonicalBlock === recent[0].number) return 0;
+
+    // No recorded hash matches: roll back the whole reorg window
+    if (canonicalBlock === null) {
+      canonicalBlock = this.state.lastSyncedBlock - this.reorgDepth;
+      this.logger.warn(`Reorg on chain ${this.chainId} past all recorded block hashes, rolling back to #${canonicalBlock}`);
+    }
+
+    return this.rollback(canonicalBlock);
+  }
+
+  /**
+   * Drop all events and block data after a block
+   * @param {number} blockNumber - Last block to keep
+   * @returns {number} Number of events dropped
+   */
+  rollback(blockNumber) {
+    const before = this.state.events.length;
+    this.state.events = this.state.events.filter(event => event.blockNumber <= blockNumber);
+    this.state.recentBlocks = this.state.recentBlocks.filter(block => block.number <= blockNumber);
+    for (const number of Object.keys(this.state.blockTimestamps)) {
+      if (Number(number) > blockNumber) delete this.state.blockTimestamps[number];
+    }
+
+    if (this.state.startBlock !== null && blockNumber < this.state.startBlock) {
+      this.state.startBlock = null;
+      this.state.lastSyncedBlock = null;
+    } else {
+      this.state.lastSyncedBlock = Math.min(this.state.lastSyncedBlock, blockNumber);
+    }
+    return before - this.state.events.length;
+  }
+
+  /**
+   * Record the hash of the synced head and keep recorded hashes within the reorg depth
+   */
+  async recordHead() {
+    const headBlock = await this.getBlock(this.state.lastSyncedBlock);
+    const minBlock = this.state.lastSyncedBlock - this.reorgDepth;
+    const blocks = new Map(this.state.recentBlocks.map(block => [block.number, block.hash]));
+
+    // Event block hashes near the head come for free with the logs
+    for (const event of this.state.events) {
+      if (event.blockNumber > minBlock) blocks.set(event.blockNumber, event.blockHash);
+    }
+    blocks.set(headBlock.number, headBlock.hash);
+
+    this.state.recentBlocks = [...blocks.entries()]
+      .filter(([number]) => number > minBlock)
+      .map(([number, hash]) => ({ number, hash }))
+      .sort((a, b) => a.number - b.number);
+  }
+
+  /**
+   * Fetch and decode pool events in a block range
+   */
+  async fetchEvents(fromBlock, toBlock) {
+    if (fromBlock > toBlock) return [];
+
+    const topics = this.eventTypes.map(name => this.iface.getEventTopic(name));
+    const logs = await fetchLogs(this.provider, {
+      address: this.poolAddress,
+      fromBlock,
+      toBlock,
+      topics: this.poolId ? [topics, this.poolId] : [topics]
+    }, this.logOptions);
+
+    return logs.map(log => this.decodeLog(log));
+  }
+
+  /**
+   * Decode a raw log into a JSON-safe event record
+   */
+  decodeLog(log) {
+    const parsed = this.iface.parseLog(log);
+    const args = {};
+    parsed.eventFragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    });
+
+    return {
+      type: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      args
+    };
+  }
+
+  /**
+   * Get stored events, optionally filtered by type and block range
+   * @param {Object} [filter] - Event filter
+   * @param {string|string[]} [filter.type] - Event type(s): "Swap", "Mint", "Burn", "Collect"
+   * @param {number} [filter.fromBlock] - First block (inclusive)
+   * @param {number} [filter.toBlock] - Last block (inclusive)
+   * @returns {Array<Object>} Matching events in chain order
+   */
+  getEvents(filter = {}) {
+    const types = filter.type ? [].concat(filter.type) : null;
+    const fromBlock = filter.fromBlock !== undefined ? filter.fromBlock : -Infinity;
+    const toBlock = filter.toBlock !== undefined ? filter.toBlock : Infinity;
+
+    const outsideRange = this.state.startBlock === null ||
+      (filter.fromBlock !== undefined && fromBlock < this.state.startBlock) ||
+      (filter.toBlock !== undefined && toBlock > this.state.lastSyncedBlock);
+    if (outsideRange) {
+      this.logger.warn(`Event store covers #${this.state.startBlock}-#${this.state.lastSyncedBlock}, requested #${fromBlock}-#${toBlock}`);
+    }
+
+    return this.state.events.filter(event =>
+      event.blockNumber >= fromBlock &&
+      event.blockNumber <= toBlock &&
+      (!types || types.includes(event.type))
+    );
+  }
+
+  /**
+   * Get timestamps for blocks, fetching and caching the missing ones
+   * @param {number[]} blockNumbers - Block numbers
+   * @param {number} [concurrency=8] - Block requests in flight at once
+   * @returns {Promise<Object>} Map of block number to timestamp
+   */
+  async getBlockTimestamps(blockNumbers, concurrency = 8) {
+    const cache = this.state.blockTimestamps;
+    const missing = [...new Set(blockNumbers)].filter(number => cache[number] === undefined);
+
+    for (let i = 0; i < missing.length; i += concurrency) {
+      const batch = missing.slice(i, i + concurrency);
+      const blocks = await Promise.all(batch.map(number => this.getBlock(number)));
+      blocks.forEach((block, j) => {
+        cache[batch[j]] = block.timestamp;
+      });
+    }
+    if (missing.length > 0) this.save();
+
+    const result = {};
+    for (const number of blockNumbers) result[number] = cache[number];
+    return result;
+  }
+
+  /**
+   * Get the sender and target (tx.from, tx.to) of transactions, fetching and
+   * caching the missing ones. JSON-RPC providers send each batch as a single
+   * batch request.
+   * @param {string[]} hashes - Transaction hashes
+   * @param {number} [batchSize=50] - Transactions requested per batch
+   * @returns {Promise<Object>} Map of transaction hash to { from, to }
+   */
+  async getTransactions(hashes, batchSize = 50) {
+    const cache = this.state.transactions;
+    const missing = [...new Set(hashes)].filter(hash => cache[hash] === undefined);
+
+    const provider = missing.length > 0 && this.provider instanceof ethers.providers.JsonRpcProvider
+      ? new ethers.providers.JsonRpcBatchProvider(this.provider.connection, this.provider.network)
+      : this.provider;
+    for (let i = 0; i < missing.length; i += batchSize) {
+      const batch = missing.slice(i, i + batchSize);
+      const transactions = await Promise.all(batch.map(hash => provider.getTransaction(hash)));
+      transactions.forEach((tx, j) => {
+        if (tx) cache[batch[j]] = { from: tx.from, to: tx.to };
+      });
+    }
+    if (missing.length > 0) this.save();
+
+    const result = {};
+    for (const hash of hashes) result[hash] = cache[hash];
+    return result;
+  }
+
+  /**
+   * Get the sender (tx.from) of transactions; see getTransactions
+   * @param {string[]} hashes - Transaction hashes
+   * @returns {Promise<Object>} Map of transaction hash to sender address
+   */
+  async getTransactionSenders(hashes) {
+    const transactions = await this.getTransactions(hashes);
+    const result = {};
+    for (const hash of hashes) {
+      if (transactions[hash]) result[hash] = transactions[hash].from;
+    }
+    return result;
+  }
+}
+
+module.exports = {
+  PoolEventStore,
+  POOL_EVENTS_ABI
+};
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+const { PoolEventStore } = require('./eventStore');
+
+const POOL = "0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640";
+
+// Nothing here saves, so the directory is never created
+const dataDir = path.join(os.tmpdir(), 'event-store-test');
+
+// Store synced to block 110 with one event per block from 100
+function syncedStore(chain, options = {}) {
+  const provider = { getBlock: async number => chain(number) };
+  const store = new PoolEventStore({ chainId: 1, poolAddress: POOL, provider, dataDir, reorgDepth: 8, ...options });
+  store.state.startBlock = 100;
+  store.state.lastSyncedBlock = 110;
+  for (let number = 100; number <= 110; number++) {
+    store.state.events.push({ type: "Swap", blockNumber: number, blockHash: `0x${number}`, logIndex: 0, args: {} });
+    store.state.blockTimestamps[number] = number * 12;
+  }
+  store.state.recentBlocks = [106, 107, 108, 109, 110].map(number => ({ number, hash: `0x${number}` }));
+  return store;
+}
+
+test('handleReorg keeps everything when the head hash still matches', async () => {
+  const store = syncedStore(number => ({ number, hash: `0x${number}` }));
+  assert.equal(await store.handleReorg(), 0);
+  assert.equal(store.lastSyncedBlock, 110);
+  assert.equal(store.state.events.length, 11);
+});
+
+test('handleReorg rolls back to the newest block whose hash matches', async () => {
+  const store = syncedStore(number => ({ number, hash: number > 107 ? `0xnew${number}` : `0x${number}` }));
+  assert.equal(await store.handleReorg(), 3);
+  assert.equal(store.lastSyncedBlock, 107);
+  assert.deepEqual(store.state.recentBlocks.map(block => block.number), [106, 107]);
+  assert.equal(store.state.blockTimestamps[108], undefined);
+  assert.equal(store.getEvents().at(-1).blockNumber, 107);
+});
+
+test('handleReorg rolls back the whole reorg window when no hash matches', async () => {
+  const warnings = [];
+  const store = syncedStore(number => ({ number, hash: `0xnew${number}` }), { logger: { warn: message => warnings.push(message) } });
+  assert.equal(await store.handleReorg(), 8);
+  assert.equal(store.lastSyncedBlock, 102);
+  assert.match(warnings[0], /past all recorded block hashes, rolling back to #102/);
+});
+
+test('handleReorg retries blocks the RPC does not return instead of rolling back', async () => {
+  let misses = 2;
+  const store = syncedStore(number => (misses-- > 0 ? null : { number, hash: `0x${number}` }), { logOptions: { retryDelay: 1 } });
+  assert.equal(await store.handleReorg(), 0);
+  assert.equal(store.state.events.length, 11);
+
+  const missing = syncedStore(() => null, { logOptions: { retries: 1, retryDelay: 1 } });
+  await assert.rejects(missing.handleReorg(), /Block #110 not found on chain 1 after 1 retries/);
+  assert.equal(missing.lastSyncedBlock, 110);
+});
+
+test('rollback before the start block empties the covered range', () => {
+  const store = syncedStore(number => ({ number, hash: `0x${number}` }));
+  assert.equal(store.rollback(99), 11);
+  assert.equal(store.startBlock, null);
+  assert.equal(store.lastSyncedBlock, null);
+});
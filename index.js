@@ -9,7 +9,7 @@ const {
   Percent,
   SwapRouter
 } = require("@uniswap/sdk-core");
-const { AlphaRouter, SwapType } = require("@uniswap/smart-order-router");
+const { SwapType } = require("@uniswap/smart-order-router");
 
 // Define minimal ERC20 ABI with decimals function added
 const ERC20ABI = [
@@ -36,6 +36,11 @@ const WETHABI = [
 // Load environment variables and chain configurations
 require('dotenv').config();
 const CHAIN_CONFIGS = require('./chainConfigs');
+const { getTokenMetadataCache } = require('./tokenMetadata');
+const { resolveToken } = require('./tokenResolver');
+const { getChainContext, getChainContextRegistry } = require('./chainContext');
+const { getPriceLadder, gasAdjustQuote } = require('./tokenUtils');
+const { QuoteOptionsSchema, parseQuoteOptions, toRouterArgs } = require('./quoteOptions');
 
 // Import utilities from ethers.utils for v5
 const { parseUnits, formatUnits } = ethers.utils;
@@ -52,30 +57,16 @@ const server = new McpServer({
   description: "An MCP server for AI agents to automate trading strategies on Uniswap DEX across multiple blockchains"
 });
 
-// Get provider and router for a specific chain
-function getChainContext(chainId) {
-  const config = CHAIN_CONFIGS[chainId];
-  if (!config) {
-    const supportedChains = Object.entries(CHAIN_CONFIGS)
-      .map(([id, { name }]) => `${id} - ${name}`)
-      .join(', ');
-    throw new Error(`Unsupported chainId: ${chainId}. Supported chains: ${supportedChains}`);
-  }
-  const provider = new ethers.providers.JsonRpcProvider(config.rpcUrl);
-  const router = new AlphaRouter({ chainId, provider });
-  return { provider, router, config };
-}
-
-// Create a token instance, fetching decimals for ERC-20 tokens
+// Create a token instance, reading ERC-20 metadata through the shared token metadata cache
 async function createToken(chainId, address, provider, symbol = "UNKNOWN", name = "Unknown Token") {
   const config = CHAIN_CONFIGS[chainId];
   if (!address || address.toLowerCase() === "native") {
     return new Token(chainId, config.weth, 18, symbol, name); // Native token defaults to 18 decimals
   }
-  const tokenContract = new ethers.Contract(address, ERC20ABI, provider);
-  const decimals = await tokenContract.decimals();
-  console.log('=>', decimals)
-  return new Token(chainId, ethers.utils.getAddress(address), decimals, symbol, name);
+  // Symbols and "chain:symbol" are resolved through the token lists
+  const resolved = resolveToken(address, { chainId });
+  const metadata = await getTokenMetadataCache().get(chainId, resolved.address, provider);
+  return new Token(chainId, metadata.address, metadata.decimals, metadata.symbol, metadata.name);
 }
 
 // Check wallet balance, throw error if zero
@@ -101,14 +92,17 @@ server.tool(
   "Get a price quote for a Uniswap swap, supporting multi-hop routes",
   {
     chainId: z.number().default(1).describe("Chain ID (1: Ethereum, 10: Optimism, 137: Polygon, 42161: Arbitrum, 42220: Celo, 56: BNB Chain, 43114: Avalanche, 8453: Base)"),
-    tokenIn: z.string().describe("Input token address ('NATIVE' for native token like ETH)"),
-    tokenOut: z.string().describe("Output token address ('NATIVE' for native token like ETH)"),
+    tokenIn: z.string().describe("Input token address or symbol from the token lists, e.g. 'USDC' or bridged 'USDC.e' ('NATIVE' for native token like ETH)"),
+    tokenOut: z.string().describe("Output token address or symbol from the token lists, e.g. 'USDC' or bridged 'USDC.e' ('NATIVE' for native token like ETH)"),
     amountIn: z.string().optional().describe("Exact input amount (required for exactIn trades)"),
     amountOut: z.string().optional().describe("Exact output amount (required for exactOut trades)"),
-    tradeType: z.enum(["exactIn", "exactOut"]).default("exactIn").describe("Trade type: exactIn requires amountIn, exactOut requires amountOut")
+    tradeType: z.enum(["exactIn", "exactOut"]).default("exactIn").describe("Trade type: exactIn requires amountIn, exactOut requires amountOut"),
+    ...QuoteOptionsSchema.shape
   },
-  async ({ chainId, tokenIn, tokenOut, amountIn, amountOut, tradeType }) => {
+  async ({ chainId, tokenIn, tokenOut, amountIn, amountOut, tradeType, slippageTolerance, deadline, protocols, maxHops, maxSplits, recipient }) => {
     try {
+      const options = parseQuoteOptions({ slippageTolerance, deadline, protocols, maxHops, maxSplits, recipient });
+      const { swapOptions, routingConfig } = toRouterArgs(options);
       const { provider, router, config } = getChainContext(chainId);
       
       const tokenA = await createToken(chainId, tokenIn, provider);
@@ -124,20 +118,16 @@ server.tool(
       const amount = tradeType === "exactIn" ? amountIn : amountOut;
       const decimals = tradeType === "exactIn" ? tokenA.decimals : tokenB.decimals;
       const amountWei = parseUnits(amount, decimals).toString();
-      const route = await router.route(
+      const route = await getChainContextRegistry().track(chainId, router.route(
         CurrencyAmount.fromRawAmount(
           tradeType === "exactIn" ? tokenA : tokenB,
           amountWei
         ),
         tradeType === "exactIn" ? tokenB : tokenA,
         tradeType === "exactIn" ? TradeType.EXACT_INPUT : TradeType.EXACT_OUTPUT,
-        {
-          recipient: ethers.constants.AddressZero,
-          slippageTolerance: new Percent(5, 1000),
-          deadline: Math.floor(Date.now() / 1000) + 20 * 60,
-          type: SwapType.SWAP_ROUTER_02,
-        }
-      );
+        swapOptions,
+        routingConfig
+      ));
       if (!route) throw new Error("No route found");
 
       return {
@@ -149,14 +139,27 @@ server.tool(
             price: route.trade.executionPrice.toSignificant(6),
             inputAmount: route.trade.inputAmount.toSignificant(6),
             outputAmount: route.trade.outputAmount.toSignificant(6),
-            minimumReceived: route.trade.minimumAmountOut(new Percent(5, 1000)).toSignificant(6),
-            maximumInput: route.trade.maximumAmountIn(new Percent(5, 1000)).toSignificant(6),
+            minimumReceived: route.trade.minimumAmountOut(swapOptions.slippageTolerance).toSignificant(6),
+            maximumInput: route.trade.maximumAmountIn(swapOptions.slippageTolerance).toSignificant(6),
             route: route.trade.swaps.map(swap => ({
               tokenIn: swap.inputAmount.currency.address,
               tokenOut: swap.outputAmount.currency.address,
               fee: swap.route.pools[0].fee
             })),
-            estimatedGas: route.estimatedGasUsed.toString()
+            estimatedGas: route.estimatedGasUsed.toString(),
+            estimatedGasPrice: route.gasPriceWei.toString(),
+            ...gasAdjustQuote({
+              chainId,
+              tradeType,
+              inputAmount: route.trade.inputAmount,
+              outputAmount: route.trade.outputAmount,
+              gasUsed: route.estimatedGasUsed,
+              gasPriceWei: route.gasPriceWei,
+              gasCostToken: route.estimatedGasUsedQuoteToken || null,
+              gasCostUSD: route.estimatedGasUsedUSD || null,
+              gasAdjustedAmount: route.quoteGasAdjusted || null
+            }),
+            options
           }, null, 2)
         }]
       };
@@ -166,14 +169,58 @@ server.tool(
   }
 );
 
+// Tool: Quote a pair at a ladder of trade sizes
+server.tool(
+  "getPriceLadder",
+  "Quote a pair at a list or geometric range of trade sizes, returning the execution price, price impact, output and route at each size, and the largest size within each price impact threshold",
+  {
+    chainId: z.number().default(1).describe("Chain ID (1: Ethereum, 10: Optimism, 137: Polygon, 42161: Arbitrum, 42220: Celo, 56: BNB Chain, 43114: Avalanche, 8453: Base)"),
+    tokenIn: z.string().describe("Input token address or symbol from the token lists, e.g. 'USDC' or bridged 'USDC.e'"),
+    tokenOut: z.string().describe("Output token address or symbol from the token lists, e.g. 'WETH'"),
+    tradeType: z.enum(["exactIn", "exactOut"]).default("exactIn").describe("exactIn sizes the input token, exactOut the output token"),
+    sizes: z.array(z.number().positive()).optional().describe("Trade sizes to quote, e.g. [100, 1000, 10000]"),
+    from: z.number().positive().optional().describe("Smallest size of a geometric range (instead of sizes)"),
+    to: z.number().positive().optional().describe("Largest size of a geometric range"),
+    steps: z.number().int().min(2).default(10).describe("Number of sizes in a geometric range"),
+    sizeUnit: z.enum(["token", "usd"]).default("token").describe("Sizes in units of the sized token, or in US dollars"),
+    impactThresholds: z.array(z.number().positive()).optional().describe("Price impact thresholds in percent (default: 0.5, 1, 2, 5)"),
+    ...QuoteOptionsSchema.shape
+  },
+  async ({ chainId, tokenIn, tokenOut, tradeType, sizes, from, to, steps, sizeUnit, impactThresholds, slippageTolerance, deadline, protocols, maxHops, maxSplits, recipient }) => {
+    try {
+      const config = CHAIN_CONFIGS[chainId];
+      if (!config) throw new Error(`Unsupported chainId: ${chainId}`);
+      const ladder = await getPriceLadder({
+        chainName: config.name,
+        tokenInSymbol: tokenIn,
+        tokenOutSymbol: tokenOut,
+        tradeType,
+        sizes,
+        range: sizes ? undefined : { from, to, steps },
+        sizeUnit,
+        impactThresholds,
+        options: { slippageTolerance, deadline, protocols, maxHops, maxSplits, recipient }
+      });
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(ladder, null, 2)
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to get price ladder: ${error.message}`);
+    }
+  }
+);
+
 // Tool: Execute swap with Smart Order Router
 server.tool(
   "executeSwap",
   "Execute a swap on Uniswap with optimal multi-hop routing",
   {
     chainId: z.number().default(1).describe("Chain ID (1: Ethereum, 10: Optimism, 137: Polygon, 42161: Arbitrum, 42220: Celo, 56: BNB Chain, 43114: Avalanche, 8453: Base)"),
-    tokenIn: z.string().describe("Input token address ('NATIVE' for native token like ETH)"),
-    tokenOut: z.string().describe("Output token address ('NATIVE' for native token like ETH)"),
+    tokenIn: z.string().describe("Input token address or symbol from the token lists, e.g. 'USDC' or bridged 'USDC.e' ('NATIVE' for native token like ETH)"),
+    tokenOut: z.string().describe("Output token address or symbol from the token lists, e.g. 'USDC' or bridged 'USDC.e' ('NATIVE' for native token like ETH)"),
     amountIn: z.string().optional().describe("Exact input amount (required for exactIn trades)"),
     amountOut: z.string().optional().describe("Exact output amount (required for exactOut trades)"),
     tradeType: z.enum(["exactIn", "exactOut"]).default("exactIn").describe("Trade type: exactIn requires amountIn, exactOut requires amountOut"),
@@ -202,7 +249,7 @@ server.tool(
       const decimals = tradeType === "exactIn" ? tokenA.decimals : tokenB.decimals;
       const amountWei = parseUnits(amount, decimals).toString();
       
-      const route = await router.route(
+      const route = await getChainContextRegistry().track(chainId, router.route(
         CurrencyAmount.fromRawAmount(
           tradeType === "exactIn" ? tokenA : tokenB,
           amountWei
@@ -215,7 +262,7 @@ server.tool(
           deadline: Math.floor(Date.now() / 1000) + (deadline * 60),
           type: SwapType.SWAP_ROUTER_02,
         }
-      );
+      ));
 
       if (!route) throw new Error("No route found");
 
@@ -290,6 +337,27 @@ server.tool(
   }
 );
 
+// Tool: Check the shared per-chain providers and routers
+server.tool(
+  "getChainHealth",
+  "Check the RPC connection and router cache state of each chain, optionally resetting a chain's provider and router",
+  {
+    chainId: z.number().optional().describe("Chain ID to check; all chains used so far when omitted"),
+    reset: z.boolean().default(false).describe("Drop the chain's provider, router and router caches before checking, so they are rebuilt")
+  },
+  async ({ chainId, reset }) => {
+    const chainContexts = getChainContextRegistry();
+    const resetChains = reset ? chainContexts.reset(chainId) : [];
+    const chains = await chainContexts.health(chainId);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ resetChains, chains }, null, 2)
+      }]
+    };
+  }
+);
+
 // Prompt: Generate swap suggestion with Smart Order Router
 server.prompt(
   "suggestSwap",
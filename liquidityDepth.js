@@ -0,0 +1,292 @@
+const { ethers } = require("ethers");
+
+const { getChainConfig, ERC20_ABI } = require('./poolAnalytics');
+const {
+  sqrtPriceX96ToPrice,
+  tickToSqrtPriceX96,
+  tickToPrice,
+  getAmount0Delta,
+  getAmount1Delta,
+  getAmountsForLiquidity,
+  normalizeAmount,
+  toFixedPoint,
+  toNumber
+} = require('./poolMath');
+
+const DEPTH_POOL_ABI = [
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function liquidity() view returns (uint128)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function tickSpacing() view returns (int24)",
+  "function tickBitmap(int16 wordPosition) view returns (uint256)",
+  "function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)"
+];
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+
+// Price moves reported by default, in percent
+const DEFAULT_DEPTH_PERCENTS = [0.5, 1, 2, 5];
+
+// RPC calls sent at once when reading bitmap words and ticks
+const BATCH_SIZE = 20;
+
+// Integer square root, rounded down
+function sqrtBigInt(value) {
+  if (value < 2n) return value;
+  // Newton's method from a power of two above the root decreases monotonically to it
+  let x = 1n << BigInt(Math.ceil(value.toString(2).length / 2));
+  let next = (x + value / x) / 2n;
+  while (next < x) {
+    x = next;
+    next = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+/**
+ * sqrtPriceX96 after the price moves by a percentage, kept within the pool's price range
+ * @param {BigInt} sqrtPriceX96 - Current sqrt price as a Q64.96
+ * @param {number} percent - Price move in percent, negative for a drop
+ * @returns {BigInt} Target sqrt price as a Q64.96
+ */
+function movedSqrtPriceX96(sqrtPriceX96, percent) {
+  const ratio = toFixedPoint(Math.max(0, 100 + percent));
+  const target = sqrtBigInt(sqrtPriceX96 * sqrtPriceX96 * ratio / toFixedPoint(100));
+  const min = tickToSqrtPriceX96(MIN_TICK);
+  const max = tickToSqrtPriceX96(MAX_TICK);
+  return target < min ? min : (target > max ? max : target);
+}
+
+async function inBatches(items, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    results.push(...await Promise.all(items.slice(i, i + BATCH_SIZE).map(fn)));
+  }
+  return results;
+}
+
+/**
+ * Read all initialized ticks within a tick range from the pool's tickBitmap
+ * @param {ethers.Contract} pool - Pool contract
+ * @param {number} tickSpacing - Pool tick spacing
+ * @param {number} tickLower - Lowest tick to scan
+ * @param {number} tickUpper - Highest tick to scan
+ * @returns {Promise<Array<Object>>} Initialized ticks with liquidityNet (BigInt), ascending
+ */
+async function getInitializedTicks(pool, tickSpacing, tickLower, tickUpper) {
+  const compress = tick => Math.floor(tick / tickSpacing);
+  const firstWord = compress(tickLower) >> 8;
+  const lastWord = compress(tickUpper) >> 8;
+
+  const words = [];
+  for (let word = firstWord; word <= lastWord; word++) words.push(word);
+  const bitmaps = await inBatches(words, word => pool.tickBitmap(word));
+
+  const tickIndexes = [];
+  words.forEach((word, i) => {
+    const bitmap = BigInt(bitmaps[i].toString());
+    if (bitmap === 0n) return;
+    for (let bit = 0; bit < 256; bit++) {
+      if ((bitmap >> BigInt(bit)) & 1n) {
+        const tick = (word * 256 + bit) * tickSpacing;
+        if (tick >= tickLower && tick <= tickUpper) tickIndexes.push(tick);
+      }
+    }
+  });
+
+  const tickData = await inBatches(tickIndexes, tick => pool.ticks(tick));
+  return tickIndexes.map((tick, i) => ({
+    tick,
+    liquidityNet: BigInt(tickData[i].liquidityNet.toString()),
+    liquidityGross: BigInt(tickData[i].liquidityGross.toString())
+  }));
+}
+
+/**
+ * Amounts (raw units) needed to move the price from the current sqrt price to a target,
+ * walking across initialized ticks and updating the active liquidity
+ * @param {Object} curve - Current sqrtPriceX96, tick, liquidity and initialized ticks
+ * @param {BigInt} targetSqrtPriceX96 - Target sqrt price as a Q64.96
+ * @returns {Object} amount0 and amount1 moved (raw units, BigInt)
+ */
+function amountsToSqrtPrice(curve, targetSqrtPriceX96) {
+  let sqrtPriceX96 = curve.sqrtPriceX96;
+  let liquidity = curve.liquidity;
+  let amount0 = 0n;
+  let amount1 = 0n;
+
+  const step = (fromSqrt, toSqrt, L) => {
+    amount0 += getAmount0Delta(fromSqrt, toSqrt, L);
+    amount1 += getAmount1Delta(fromSqrt, toSqrt, L);
+  };
+
+  if (targetSqrtPriceX96 >= sqrtPriceX96) {
+    // Price up: cross ticks above the current tick, adding liquidityNet
+    for (const { tick, liquidityNet } of curve.ticks) {
+      if (tick <= curve.tick) continue;
+      const tickSqrt = tickToSqrtPriceX96(tick);
+      if (tickSqrt >= targetSqrtPriceX96) break;
+      step(sqrtPriceX96, tickSqrt, liquidity);
+      sqrtPriceX96 = tickSqrt;
+      liquidity += liquidityNet;
+    }
+  } else {
+    // Price down: cross ticks at or below the current tick, subtracting liquidityNet
+    for (let i = curve.ticks.length - 1; i >= 0; i--) {
+      const { tick, liquidityNet } = curve.ticks[i];
+      if (tick > curve.tick) continue;
+      const tickSqrt = tickToSqrtPriceX96(tick);
+      if (tickSqrt <= targetSqrtPriceX96) break;
+      step(sqrtPriceX96, tickSqrt, liquidity);
+      sqrtPriceX96 = tickSqrt;
+      liquidity -= liquidityNet;
+    }
+  }
+  step(sqrtPriceX96, targetSqrtPriceX96, liquidity);
+
+  return { amount0, amount1 };
+}
+
+/**
+ * Active liquidity and locked token amounts per tick-spacing bucket
+ */
+function buildHistogram(curve, tickLower, tickUpper, decimals0, decimals1) {
+  const { tickSpacing } = curve;
+  const netByTick = new Map(curve.ticks.map(t => [t.tick, t.liquidityNet]));
+  const firstBucket = Math.floor(tickLower / tickSpacing) * tickSpacing;
+  const currentBucket = Math.floor(curve.tick / tickSpacing) * tickSpacing;
+
+  // Liquidity at the lowest bucket: start from the current liquidity and undo crossings down to it
+  let liquidity = curve.liquidity;
+  for (const { tick, liquidityNet } of curve.ticks) {
+    if (tick > firstBucket && tick <= currentBucket) liquidity -= liquidityNet;
+  }
+
+  const histogram = [];
+  for (let lower = firstBucket; lower < tickUpper; lower += tickSpacing) {
+    if (lower !== firstBucket && netByTick.has(lower)) liquidity += netByTick.get(lower);
+    const upper = lower + tickSpacing;
+    const amounts = getAmountsForLiquidity(curve.sqrtPriceX96, tickToSqrtPriceX96(lower), tickToSqrtPriceX96(upper), liquidity);
+
+    histogram.push({
+      tickLower: lower,
+      tickUpper: upper,
+      priceLower: toNumber(tickToPrice(lower, decimals0, decimals1)),
+      priceUpper: toNumber(tickToPrice(upper, decimals0, decimals1)),
+      liquidity: liquidity.toString(),
+      amount0: normalizeAmount(amounts.amount0, decimals0),
+      amount1: normalizeAmount(amounts.amount1, decimals1),
+      active: lower === currentBucket
+    });
+  }
+  return histogram;
+}
+
+/**
+ * Rebuild a V3 pool's liquidity curve and report market depth
+ * @param {Object} params - Parameters for the depth analysis
+ * @param {number} params.chainId - Chain ID of the pool
+ * @param {string} params.poolAddress - Uniswap V3 pool address
+ * @param {number[]} [params.percents=[0.5, 1, 2, 5]] - Price moves to report, in percent
+ * @param {number} [params.histogramRangePercent=20] - Price range around the current price covered by the histogram
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @returns {Promise<Object>} Depth for each price move and the liquidity histogram
+ */
+async function analyzeLiquidityDepth(params) {
+  const { chainId, percents = DEFAULT_DEPTH_PERCENTS, histogramRangePercent = 20 } = params;
+  const config = getChainConfig(chainId);
+  const poolAddress = ethers.utils.getAddress(params.poolAddress);
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const pool = new ethers.Contract(poolAddress, DEPTH_POOL_ABI, provider);
+
+  const [slot0, liquidity, tickSpacing, token0Address, token1Address] = await Promise.all([
+    pool.slot0(),
+    pool.liquidity(),
+    pool.tickSpacing(),
+    pool.token0(),
+    pool.token1()
+  ]);
+  const token0 = new ethers.Contract(token0Address, ERC20_ABI, provider);
+  const token1 = new ethers.Contract(token1Address, ERC20_ABI, provider);
+  const [decimals0, decimals1, symbol0, symbol1] = await Promise.all([
+    token0.decimals(),
+    token1.decimals(),
+    token0.symbol().catch(() => "Unknown"),
+    token1.symbol().catch(() => "Unknown")
+  ]);
+
+  // Scan enough ticks to cover the largest price move and the histogram range
+  const maxPercent = Math.max(...percents, histogramRangePercent);
+  const tickRange = Math.ceil(Math.log(1 + maxPercent / 100) / Math.log(1.0001)) + tickSpacing;
+  const tick = slot0.tick;
+  const tickLower = Math.max(MIN_TICK, tick - tickRange);
+  const tickUpper = Math.min(MAX_TICK, tick + tickRange);
+
+  const curve = {
+    tick,
+    tickSpacing,
+    sqrtPriceX96: BigInt(slot0.sqrtPriceX96.toString()),
+    liquidity: BigInt(liquidity.toString()),
+    ticks: await getInitializedTicks(pool, tickSpacing, tickLower, tickUpper)
+  };
+
+  // Buying token0 pushes the price of token0 up; selling it pushes the price down
+  const depth = percents.map(percent => {
+    const up = amountsToSqrtPrice(curve, movedSqrtPriceX96(curve.sqrtPriceX96, percent));
+    const down = amountsToSqrtPrice(curve, movedSqrtPriceX96(curve.sqrtPriceX96, -percent));
+    return {
+      percent,
+      up: {
+        token0Out: normalizeAmount(up.amount0, decimals0),
+        token1In: normalizeAmount(up.amount1, decimals1)
+      },
+      down: {
+        token0In: normalizeAmount(down.amount0, decimals0),
+        token1Out: normalizeAmount(down.amount1, decimals1)
+      }
+    };
+  });
+
+  const histogramTicks = Math.ceil(Math.log(1 + histogramRangePercent / 100) / Math.log(1.0001));
+  const histogram = buildHistogram(
+    curve,
+    Math.max(MIN_TICK, tick - histogramTicks),
+    Math.min(MAX_TICK, tick + histogramTicks),
+    decimals0,
+    decimals1
+  );
+
+  return {
+    chainId,
+    poolAddress,
+    token0: { address: token0Address, symbol: symbol0, decimals: decimals0 },
+    token1: { address: token1Address, symbol: symbol1, decimals: decimals1 },
+    tick,
+    tickSpacing,
+    price: toNumber(sqrtPriceX96ToPrice(slot0.sqrtPriceX96, decimals0, decimals1)),
+    liquidity: liquidity.toString(),
+    initializedTicks: curve.ticks.length,
+    depth,
+    histogram
+  };
+}
+
+/**
+ * Format a liquidity histogram as CSV with a header row
+ * @param {Array<Object>} histogram - Histogram from analyzeLiquidityDepth
+ * @returns {string} CSV text
+ */
+function histogramToCSV(histogram) {
+  const columns = ["tickLower", "tickUpper", "priceLower", "priceUpper", "liquidity", "amount0", "amount1", "active"];
+  const rows = histogram.map(bucket => columns.map(column => bucket[column]).join(','));
+  return [columns.join(','), ...rows].join('\n');
+}
+
+module.exports = {
+  analyzeLiquidityDepth,
+  histogramToCSV,
+  getInitializedTicks,
+  DEFAULT_DEPTH_PERCENTS
+};
@@ -0,0 +1,127 @@
+const { normalizeAmount, amountToUSD, usdToNumber } = require('./poolMath');
+
+// Largest Mint/Burn moves reported by default
+const DEFAULT_TOP_MOVES = 5;
+
+/**
+ * Summarize liquidity added, removed and collected from a pool's Mint, Burn
+ * and Collect events. Collect amounts include the principal released by
+ * earlier Burns of the same position, so only the part above that principal
+ * counts as collected fees. Amounts and USD values are summed as integers and
+ * rounded once in the result.
+ * @param {Array<Object>} events - Mint, Burn and Collect events from the event store, in chain order
+ * @param {Object} options - Summary options
+ * @param {number} options.decimals0 - token0 decimals
+ * @param {number} options.decimals1 - token1 decimals
+ * @param {number} [options.usd0=0] - USD price of token0
+ * @param {number} [options.usd1=0] - USD price of token1
+ * @param {Object} [options.senders] - Map of transaction hash to tx.from, used to attribute position manager events
+ * @param {string} [options.positionManager] - NonfungiblePositionManager address of the chain
+ * @param {number} [options.topMoves=5] - Number of largest moves to return
+ * @returns {Object} Added, removed and net liquidity, unique LPs, collected fees and the largest moves
+ */
+function summarizeLiquidityFlows(events, options) {
+  const { decimals0, decimals1, usd0 = 0, usd1 = 0, senders = {}, topMoves = DEFAULT_TOP_MOVES } = options;
+  const positionManager = options.positionManager ? options.positionManager.toLowerCase() : null;
+
+  const added = { liquidity: 0n, amount0: 0n, amount1: 0n, usd: 0n, count: 0 };
+  const removed = { liquidity: 0n, amount0: 0n, amount1: 0n, usd: 0n, count: 0 };
+  const feesCollected = { amount0: 0n, amount1: 0n, usd: 0n, count: 0 };
+  const lps = new Set();
+  const moves = [];
+  // Burned principal not yet collected, per owner and tick range
+  const owed = new Map();
+
+  // Positions held through the position manager all share its address as owner; the LP is whoever sent the transaction
+  const lpOf = event => {
+    const owner = event.args.owner;
+    if (positionManager && owner.toLowerCase() === positionManager && senders[event.transactionHash]) {
+      return senders[event.transactionHash];
+    }
+    return owner;
+  };
+  // Fixed-point USD value of raw amounts
+  const toUSD = (amount0, amount1) => amountToUSD(amount0, decimals0, usd0) + amountToUSD(amount1, decimals1, usd1);
+  const atLeastZero = value => (value > 0n ? value : 0n);
+  const format = totals => ({
+    ...totals,
+    amount0: normalizeAmount(totals.amount0, decimals0),
+    amount1: normalizeAmount(totals.amount1, decimals1),
+    usd: usdToNumber(totals.usd)
+  });
+
+  for (const event of events) {
+    const { args } = event;
+    const amount0 = BigInt(args.amount0);
+    const amount1 = BigInt(args.amount1);
+    const key = `${args.owner}:${args.tickLower}:${args.tickUpper}`;
+
+    if (event.type === "Collect") {
+      const principal = owed.get(key) || { amount0: 0n, amount1: 0n };
+      const fees0 = atLeastZero(amount0 - principal.amount0);
+      const fees1 = atLeastZero(amount1 - principal.amount1);
+      owed.set(key, {
+        amount0: atLeastZero(principal.amount0 - amount0),
+        amount1: atLeastZero(principal.amount1 - amount1)
+      });
+      feesCollected.amount0 += fees0;
+      feesCollected.amount1 += fees1;
+      feesCollected.usd += toUSD(fees0, fees1);
+      feesCollected.count++;
+      continue;
+    }
+    if (event.type !== "Mint" && event.type !== "Burn") continue;
+
+    // Zero-liquidity burns only update a position's fees
+    const liquidity = BigInt(args.amount);
+    if (liquidity === 0n) continue;
+
+    const usd = toUSD(amount0, amount1);
+    const totals = event.type === "Mint" ? added : removed;
+    totals.liquidity += liquidity;
+    totals.amount0 += amount0;
+    totals.amount1 += amount1;
+    totals.usd += usd;
+    totals.count++;
+
+    if (event.type === "Burn") {
+      const principal = owed.get(key) || { amount0: 0n, amount1: 0n };
+      owed.set(key, { amount0: principal.amount0 + amount0, amount1: principal.amount1 + amount1 });
+    }
+
+    const lp = lpOf(event);
+    lps.add(lp.toLowerCase());
+    moves.push({
+      type: event.type,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      lp,
+      tickLower: Number(args.tickLower),
+      tickUpper: Number(args.tickUpper),
+      liquidity: liquidity.toString(),
+      amount0,
+      amount1,
+      usd
+    });
+  }
+
+  const largestMoves = moves
+    .sort((a, b) => (b.usd > a.usd ? 1 : b.usd < a.usd ? -1 : 0))
+    .slice(0, topMoves)
+    .map(format);
+
+  return {
+    added: { ...format(added), liquidity: added.liquidity.toString() },
+    removed: { ...format(removed), liquidity: removed.liquidity.toString() },
+    netLiquidity: (added.liquidity - removed.liquidity).toString(),
+    netUSD: usdToNumber(added.usd - removed.usd),
+    uniqueLPs: lps.size,
+    feesCollected: format(feesCollected),
+    largestMoves
+  };
+}
+
+module.exports = {
+  summarizeLiquidityFlows,
+  DEFAULT_TOP_MOVES
+};
@@ -0,0 +1,110 @@
+// Error messages providers use when a getLogs request covers too many blocks or results
+const RANGE_TOO_LARGE_PATTERNS = [
+  /more than \d+ results/i,
+  /response size (is larger|exceeded|should not)/i,
+  /block range/i,
+  /range (is )?too (large|wide)/i,
+  /too many (results|logs|blocks)/i,
+  /limit exceeded/i,
+  /query timeout/i
+];
+
+const DEFAULT_OPTIONS = {
+  chunkSize: 10_000,   // Blocks per request before any shrinking
+  minChunkSize: 1,     // Never split a chunk below this many blocks
+  concurrency: 4,      // Requests in flight at once
+  retries: 5,          // Retries per chunk for transient errors
+  retryDelay: 500      // Base backoff in ms, doubled on each retry
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check whether a provider error means the request should be split into smaller ranges
+ * @param {Error} error - Error thrown by provider.getLogs
+ * @returns {boolean} True when the range or result set was too large
+ */
+function isRangeTooLarge(error) {
+  const messages = [error.message, error.body, error.error && error.error.message]
+    .filter(Boolean)
+    .join(' ');
+  return RANGE_TOO_LARGE_PATTERNS.some(pattern => pattern.test(messages));
+}
+
+/**
+ * Fetch logs over an arbitrarily large block range. The range is split into
+ * chunks that are fetched concurrently; a chunk the provider rejects as too
+ * large is halved, and other failures are retried with exponential backoff.
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {Object} filter - Log filter with address, topics, fromBlock and toBlock
+ * @param {Object} [options] - Chunking and retry options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Array<Object>>} Logs ordered by block number and log index
+ */
+async function fetchLogs(provider, filter, options = {}) {
+  const { chunkSize, minChunkSize, concurrency, retries, retryDelay } = { ...DEFAULT_OPTIONS, ...options };
+  const fromBlock = filter.fromBlock || 0;
+  const toBlock = filter.toBlock === undefined || filter.toBlock === "latest"
+    ? await provider.getBlockNumber()
+    : filter.toBlock;
+
+  if (fromBlock > toBlock) return [];
+
+  const queue = [];
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    queue.push({ fromBlock: start, toBlock: Math.min(start + chunkSize - 1, toBlock), attempt: 0 });
+  }
+
+  const results = [];
+  let failure = null;
+
+  async function fetchChunk(chunk) {
+    try {
+      const logs = await provider.getLogs({ ...filter, fromBlock: chunk.fromBlock, toBlock: chunk.toBlock });
+      results.push(...logs);
+    } catch (error) {
+      const size = chunk.toBlock - chunk.fromBlock + 1;
+      if (isRangeTooLarge(error) && size > minChunkSize) {
+        const mid = chunk.fromBlock + Math.max(minChunkSize, Math.floor(size / 2)) - 1;
+        queue.push({ fromBlock: chunk.fromBlock, toBlock: mid, attempt: 0 });
+        queue.push({ fromBlock: mid + 1, toBlock: chunk.toBlock, attempt: 0 });
+        return;
+      }
+      if (chunk.attempt >= retries) {
+        throw new Error(`getLogs failed for blocks ${chunk.fromBlock}-${chunk.toBlock} after ${retries} retries: ${error.message}`);
+      }
+      await sleep(retryDelay * 2 ** chunk.attempt);
+      queue.push({ ...chunk, attempt: chunk.attempt + 1 });
+    }
+  }
+
+  // Each worker drains the queue; chunks that are split or retried are pushed back onto it
+  let active = 0;
+  async function worker() {
+    while (!failure && (queue.length > 0 || active > 0)) {
+      const chunk = queue.shift();
+      if (!chunk) {
+        await sleep(10);
+        continue;
+      }
+      active++;
+      try {
+        await fetchChunk(chunk);
+      } catch (error) {
+        failure = error;
+      } finally {
+        active--;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  if (failure) throw failure;
+
+  return results.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+module.exports = {
+  fetchLogs,
+  isRangeTooLarge,
+  DEFAULT_OPTIONS
+};
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fetchLogs, isRangeTooLarge } = require('./logFetcher');
+
+// Provider with one log per block that rejects ranges wider than maxRange
+function stubProvider({ maxRange = Infinity, failures = 0 } = {}) {
+  const requests = [];
+  let failuresLeft = failures;
+  return {
+    requests,
+    async getBlockNumber() {
+      return 99;
+    },
+    async getLogs({ fromBlock, toBlock }) {
+      requests.push([fromBlock, toBlock]);
+      if (toBlock - fromBlock + 1 > maxRange) {
+        throw new Error("query returned more than 10000 results");
+      }
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        throw new Error("SERVER_ERROR: bad gateway");
+      }
+      const logs = [];
+      for (let block = toBlock; block >= fromBlock; block--) logs.push({ blockNumber: block, logIndex: 0 });
+      return logs;
+    }
+  };
+}
+
+test('isRangeTooLarge matches provider range errors only', () => {
+  assert.equal(isRangeTooLarge(new Error("Log response size exceeded")), true);
+  assert.equal(isRangeTooLarge({ message: "", error: { message: "block range is too wide" } }), true);
+  assert.equal(isRangeTooLarge(new Error("missing response")), false);
+});
+
+test('fetchLogs halves chunks the provider rejects as too large', async () => {
+  const provider = stubProvider({ maxRange: 25 });
+  const logs = await fetchLogs(provider, { fromBlock: 0, toBlock: 99 }, { chunkSize: 100, concurrency: 1 });
+  assert.deepEqual(logs.map(log => log.blockNumber), Array.from({ length: 100 }, (_, i) => i));
+  // 100 blocks fail, then 50, then every 25-block chunk succeeds
+  assert.deepEqual(provider.requests.slice(0, 3), [[0, 99], [0, 49], [50, 99]]);
+  assert.equal(provider.requests.filter(([from, to]) => to - from + 1 === 25).length, 4);
+});
+
+test('fetchLogs retries other errors and gives up after the configured retries', async () => {
+  const flaky = stubProvider({ failures: 2 });
+  const logs = await fetchLogs(flaky, { fromBlock: 0, toBlock: 9 }, { chunkSize: 10, retryDelay: 1 });
+  assert.equal(logs.length, 10);
+  assert.equal(flaky.requests.length, 3);
+
+  const down = stubProvider({ failures: Infinity });
+  await assert.rejects(
+    fetchLogs(down, { fromBlock: 0, toBlock: 9 }, { chunkSize: 10, retries: 2, retryDelay: 1 }),
+    /getLogs failed for blocks 0-9 after 2 retries: SERVER_ERROR/
+  );
+  assert.equal(down.requests.length, 3);
+});
+
+test('fetchLogs resolves "latest" through getBlockNumber', async () => {
+  const provider = stubProvider();
+  const logs = await fetchLogs(provider, { fromBlock: 90, toBlock: "latest" });
+  assert.equal(logs.length, 10);
+  assert.deepEqual(await fetchLogs(provider, { fromBlock: 120, toBlock: "latest" }), []);
+});
@@ -0,0 +1,433 @@
+const { ethers } = require("ethers");
+const { Fraction } = require("@uniswap/sdk-core");
+
+// Import chain configurations and the on-chain USD pricing engine
+const CHAIN_CONFIGS = require('./chainConfigs');
+const { createUSDPricer } = require('./usdPricing');
+const { fetchLogs } = require('./logFetcher');
+const { PoolEventStore } = require('./eventStore');
+const { summarizeLiquidityFlows } = require('./liquidityFlows');
+const { summarizeTraders } = require('./traderAttribution');
+const { getBlockResolver } = require('./blockResolver');
+const {
+  sqrtPriceX96ToPrice,
+  tickToSqrtPriceX96,
+  invertPrice,
+  normalizeAmount,
+  amountToUSD,
+  usdToNumber,
+  toNumber,
+  Q96
+} = require('./poolMath');
+
+const POOL_ABI = [
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function liquidity() view returns (uint128)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function fee() view returns (uint24)",
+  "function tickSpacing() view returns (int24)",
+  "function feeGrowthGlobal0X128() view returns (uint256)",
+  "function feeGrowthGlobal1X128() view returns (uint256)",
+  "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)"
+];
+const FACTORY_ABI = [
+  "event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)"
+];
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address) view returns (uint256)",
+  "function totalSupply() view returns (uint256)"
+];
+
+const SECONDS_PER_DAY = 86400;
+const WINDOW_UNITS = { m: 60, h: 3600, d: SECONDS_PER_DAY };
+
+const Q128 = 2n ** 128n;
+const Q256 = 2n ** 256n;
+
+/**
+ * Parse a window length such as "24h", "7d", "30m" or a number of seconds
+ * @param {string|number} window - Window length
+ * @returns {number} Window length in seconds
+ */
+function parseWindow(window) {
+  if (typeof window === "number" && window > 0) return window;
+
+  const match = /^(\d+)\s*([mhd])$/i.exec(String(window).trim());
+  if (!match) {
+    throw new Error(`Invalid window "${window}". Use a number of seconds or a value like "1h", "24h", "7d"`);
+  }
+  return Number(match[1]) * WINDOW_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Get the chain configuration for a chain ID
+ * @param {number} chainId - Chain ID
+ * @returns {Object} Chain configuration from chainConfigs.js
+ */
+function getChainConfig(chainId) {
+  const config = CHAIN_CONFIGS[chainId];
+  if (!config) {
+    const supportedChains = Object.entries(CHAIN_CONFIGS)
+      .map(([id, { name }]) => `${id} - ${name}`)
+      .join(', ');
+    throw new Error(`Unsupported chainId: ${chainId}. Supported chains: ${supportedChains}`);
+  }
+  return config;
+}
+
+/**
+ * Read static token information for a pool token
+ * @param {string} address - Token address
+ * @param {string} poolAddress - Pool holding the token
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @returns {Promise<Object>} Token address, symbol, decimals, pool balance and total supply
+ */
+async function getPoolToken(address, poolAddress, provider) {
+  const tokenContract = new ethers.Contract(address, ERC20_ABI, provider);
+  const [decimals, symbol, balance, totalSupply] = await Promise.all([
+    tokenContract.decimals(),
+    tokenContract.symbol().catch(() => "Unknown"),
+    tokenContract.balanceOf(poolAddress),
+    tokenContract.totalSupply()
+  ]);
+  return { address, symbol, decimals, balance, totalSupply };
+}
+
+/**
+ * Find the block in which the factory created a pool
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {string} factoryAddress - Uniswap V3 factory address
+ * @param {Object} pool - Pool address, token0, token1 and raw fee
+ * @param {number} toBlock - Last block to search
+ * @returns {Promise<number|null>} Creation block, or null when no PoolCreated event was found
+ */
+async function findPoolCreationBlock(provider, factoryAddress, { poolAddress, token0, token1, fee }, toBlock) {
+  const factoryIface = new ethers.utils.Interface(FACTORY_ABI);
+  // token0, token1 and fee are indexed, so one request over the whole chain stays small
+  const logs = await fetchLogs(provider, {
+    address: factoryAddress,
+    fromBlock: 0,
+    toBlock,
+    topics: factoryIface.encodeFilterTopics("PoolCreated", [token0, token1, fee])
+  }, { chunkSize: toBlock + 1 });
+
+  const created = logs.find(log => factoryIface.parseLog(log).args.pool.toLowerCase() === poolAddress.toLowerCase());
+  return created ? created.blockNumber : null;
+}
+
+/**
+ * Fee APR from the growth of the pool's fee growth accumulators over a window.
+ * feeGrowthGlobalX128 counts fees paid per unit of in-range liquidity, so the
+ * APR follows from the value of one unit of liquidity without USD prices or
+ * volume. Both results assume the liquidity was in range for the whole window.
+ * @param {ethers.Contract} pool - Pool contract (POOL_ABI)
+ * @param {Object} window - fromBlock, toBlock and elapsed seconds between them
+ * @param {Object} state - Current sqrtPriceX96, tick and tickSpacing
+ * @returns {Promise<Object>} Fee growth per unit of liquidity and full-range and in-range APRs in percent
+ */
+async function getFeeGrowthApr(pool, { fromBlock, toBlock, seconds }, { sqrtPriceX96, tick, tickSpacing }) {
+  // Historical reads need an archive node
+  const [start0, start1, end0, end1] = await Promise.all([
+    pool.feeGrowthGlobal0X128({ blockTag: fromBlock }),
+    pool.feeGrowthGlobal1X128({ blockTag: fromBlock }),
+    pool.feeGrowthGlobal0X128({ blockTag: toBlock }),
+    pool.feeGrowthGlobal1X128({ blockTag: toBlock })
+  ]);
+  // The accumulators are allowed to overflow, like Solidity's unchecked math
+  const growth = (start, end) => (((BigInt(end.toString()) - BigInt(start.toString())) % Q256) + Q256) % Q256;
+
+  // Fees per unit of liquidity in raw token units, valued in raw token1 at the current price
+  const fees0 = new Fraction(growth(start0, end0).toString(), Q128.toString());
+  const fees1 = new Fraction(growth(start1, end1).toString(), Q128.toString());
+  const toSqrtPrice = x96 => new Fraction(BigInt(x96.toString()).toString(), Q96.toString());
+  const sqrtPrice = toSqrtPrice(sqrtPriceX96);
+  const price = sqrtPriceX96ToPrice(sqrtPriceX96, 0, 0);
+  const feesValue = fees0.multiply(price).add(fees1);
+
+  // One unit of full-range liquidity holds 1/sqrtP token0 and sqrtP token1
+  const fullRangeValue = sqrtPrice.multiply(2);
+
+  // One unit of liquidity over the tick spacing around the current tick
+  const tickLower = Math.floor(tick / tickSpacing) * tickSpacing;
+  const tickUpper = tickLower + tickSpacing;
+  const sqrtLower = toSqrtPrice(tickToSqrtPriceX96(tickLower));
+  const sqrtUpper = toSqrtPrice(tickToSqrtPriceX96(tickUpper));
+  const inRangeValue = sqrtPrice.invert().subtract(sqrtUpper.invert()).multiply(price).add(sqrtPrice.subtract(sqrtLower));
+
+  // Percent per year
+  const annualize = new Fraction(365 * SECONDS_PER_DAY * 100, seconds);
+  return {
+    feeGrowth0: toNumber(fees0),
+    feeGrowth1: toNumber(fees1),
+    fullRange: toNumber(feesValue.divide(fullRangeValue).multiply(annualize)),
+    inRange: inRangeValue.greaterThan(0) ? toNumber(feesValue.divide(inRangeValue).multiply(annualize)) : null,
+    inRangeTicks: [tickLower, tickUpper]
+  };
+}
+
+/**
+ * USD volume of V3 Swap events, split into buys and sells. A buy takes token0
+ * out of the pool (amount0 < 0) in exchange for token1. USD values are summed
+ * as fixed-point integers and rounded once at the end.
+ * @param {Array<Object>} swapEvents - Swap events from the event store
+ * @param {Object} options - Token decimals and USD prices
+ * @param {number} options.decimals0 - token0 decimals
+ * @param {number} options.decimals1 - token1 decimals
+ * @param {number} options.usd0 - USD price of token0 (0 when unknown)
+ * @param {number} options.usd1 - USD price of token1 (0 when unknown)
+ * @returns {Object} volumeUSD, buyVolumeUSD, sellVolumeUSD and one trade per swap for trader attribution
+ */
+function summarizeSwaps(swapEvents, { decimals0, decimals1, usd0, usd1 }) {
+  let volume = 0n, buyVolume = 0n, sellVolume = 0n;
+  const trades = [];
+  for (const event of swapEvents) {
+    const amount0 = BigInt(event.args.amount0.toString());
+    const amount1 = BigInt(event.args.amount1.toString());
+    const usdOf0 = amountToUSD(amount0 < 0n ? -amount0 : amount0, decimals0, usd0);
+    const usdOf1 = amountToUSD(amount1 < 0n ? -amount1 : amount1, decimals1, usd1);
+    // Use only input side for volume (Uniswap Analytics style), falling back
+    // to the output side when the input token has no USD price
+    const isBuy = amount0 < 0n;
+    const inputUSD = isBuy ? usdOf1 : usdOf0;
+    const outputUSD = isBuy ? usdOf0 : usdOf1;
+    const usd = inputUSD || outputUSD;
+
+    volume += usd;
+    if (isBuy) {
+      buyVolume += usd;
+    } else {
+      sellVolume += usd;
+    }
+    trades.push({ transactionHash: event.transactionHash, sender: event.args.sender, usd: usdToNumber(usd), isBuy });
+  }
+  return {
+    volumeUSD: usdToNumber(volume),
+    buyVolumeUSD: usdToNumber(buyVolume),
+    sellVolumeUSD: usdToNumber(sellVolume),
+    trades
+  };
+}
+
+/**
+ * Analyze a Uniswap V3 pool on any chain from chainConfigs.js
+ * @param {Object} params - Parameters for the analysis
+ * @param {number} params.chainId - Chain ID of the pool
+ * @param {string} params.poolAddress - Uniswap V3 pool address
+ * @param {string|number} [params.window="24h"] - Lookback window for volume, fees and traders
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @param {Object} [params.pricer] - USD pricer from usdPricing.js to share across calls
+ * @param {PoolEventStore} [params.store] - Event store to use instead of the default one for the pool
+ * @returns {Promise<Object>} Pool metrics
+ */
+async function analyzePool(params) {
+  const { chainId, window = "24h" } = params;
+  const config = getChainConfig(chainId);
+  const windowSeconds = parseWindow(window);
+
+  if (!params.poolAddress || !ethers.utils.isAddress(params.poolAddress)) {
+    throw new Error(`Invalid pool address: ${params.poolAddress}`);
+  }
+  const poolAddress = ethers.utils.getAddress(params.poolAddress);
+
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const pool = new ethers.Contract(poolAddress, POOL_ABI, provider);
+  const store = params.store || new PoolEventStore({ chainId, poolAddress, provider });
+
+  // Get token addresses, slot0 (for price and tick) and liquidity
+  const [token0Address, token1Address, slot0, liquidity] = await Promise.all([
+    pool.token0(),
+    pool.token1(),
+    pool.slot0(),
+    pool.liquidity()
+  ]);
+  const sqrtPriceX96 = slot0.sqrtPriceX96;
+  const tick = slot0.tick;
+
+  const [token0, token1] = await Promise.all([
+    getPoolToken(token0Address, poolAddress, provider),
+    getPoolToken(token1Address, poolAddress, provider)
+  ]);
+  const decimals0 = token0.decimals;
+  const decimals1 = token1.decimals;
+
+  // Pool balances
+  const balance0Norm = normalizeAmount(token0.balance, decimals0);
+  const balance1Norm = normalizeAmount(token1.balance, decimals1);
+
+  // Price of token0 in token1 and reverse, exact until the final rounding
+  const price0 = sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1);
+  const price1 = invertPrice(price0);
+  const token0Price = toNumber(price0);
+  const token1Price = price1 ? toNumber(price1) : null;
+
+  // Get USD prices from on-chain pools
+  const pricer = params.pricer || createUSDPricer(chainId, provider);
+  const [pricing0, pricing1] = await Promise.all([
+    pricer.getPrice(token0.address).catch(() => null),
+    pricer.getPrice(token1.address).catch(() => null)
+  ]);
+  const usd0 = pricing0 ? pricing0.priceUSD : 0;
+  const usd1 = pricing1 ? pricing1.priceUSD : 0;
+
+  // TVL (Total Value Locked) in USD
+  const tvl = usdToNumber(amountToUSD(token0.balance, decimals0, usd0) + amountToUSD(token1.balance, decimals1, usd1));
+
+  // Get fee tier from contract
+  let fee = null;
+  let feeTier = 0.01; // fallback
+  try {
+    fee = await pool.fee(); // returns 10000 for 1%
+    feeTier = fee / 1e6; // 10000 -> 0.01
+  } catch (e) {
+    feeTier = 0.01;
+  }
+
+  // --- Window boundaries ---
+  const blocks = getBlockResolver(chainId, provider);
+  const toBlock = await provider.getBlockNumber();
+  const toTimestamp = await blocks.getBlockTimestamp(toBlock);
+  let fromBlock;
+  try {
+    fromBlock = await blocks.findBlockAtOrAfter(toTimestamp - windowSeconds);
+  } catch (e) {
+    fromBlock = Math.max(0, toBlock - 5000); // fallback
+  }
+  const fromTimestamp = await blocks.getBlockTimestamp(fromBlock);
+
+  // Sync the local event store; only blocks not already stored are fetched
+  await store.sync({ fromBlock, toBlock });
+  const swapEvents = store.getEvents({ type: "Swap", fromBlock, toBlock });
+
+  // --- Volume, Buy/Sell Volume ---
+  const { volumeUSD, buyVolumeUSD, sellVolumeUSD, trades } = summarizeSwaps(swapEvents, { decimals0, decimals1, usd0, usd1 });
+
+  // --- Makers, Buyers, Sellers ---
+  // Swap senders are routers, so traders are resolved from each transaction's sender
+  const traders = summarizeTraders(trades, {
+    chainId,
+    transactions: await store.getTransactions(swapEvents.map(event => event.transactionHash))
+  });
+
+  // Fees and APR, annualized from the seconds the window actually covers
+  const feesUSD = volumeUSD * feeTier;
+  const yearlyFees = feesUSD * (365 * SECONDS_PER_DAY / Math.max(1, toTimestamp - fromTimestamp));
+  const apr = tvl > 0 ? (yearlyFees / tvl) * 100 : 0;
+
+  const warnings = [];
+
+  // Second APR method from the fee growth accumulators; it counts fees net of the protocol fee
+  let feeGrowthApr = null;
+  try {
+    feeGrowthApr = await getFeeGrowthApr(
+      pool,
+      { fromBlock, toBlock, seconds: toTimestamp - fromTimestamp },
+      { sqrtPriceX96, tick, tickSpacing: await pool.tickSpacing() }
+    );
+  } catch (e) {
+    warnings.push(`Failed to read fee growth for the window: ${e.message}`);
+  }
+
+  // --- Liquidity flows from Mint, Burn and Collect ---
+  const liquidityEvents = store.getEvents({ type: ["Mint", "Burn", "Collect"], fromBlock, toBlock });
+  const lpTransactions = liquidityEvents.filter(event => event.type !== "Collect").map(event => event.transactionHash);
+  const liquidityFlows = summarizeLiquidityFlows(liquidityEvents, {
+    decimals0,
+    decimals1,
+    usd0,
+    usd1,
+    senders: await store.getTransactionSenders(lpTransactions),
+    positionManager: config.positionManager
+  });
+
+  // --- FDV Calculation ---
+  const fdv0 = usdToNumber(amountToUSD(token0.totalSupply, decimals0, usd0));
+  const fdv1 = usdToNumber(amountToUSD(token1.totalSupply, decimals1, usd1));
+
+  // --- Pool Age Calculation ---
+  // The creation block never changes, so it is looked up once and kept in the store
+  let poolAgeDays = null;
+  try {
+    let createdBlock = store.getMetadata("createdBlock");
+    if (createdBlock === undefined && fee !== null) {
+      createdBlock = await findPoolCreationBlock(provider, config.poolFactory, {
+        poolAddress,
+        token0: token0.address,
+        token1: token1.address,
+        fee
+      }, toBlock);
+      if (createdBlock !== null) {
+        store.setMetadata("createdBlock", createdBlock);
+        store.save();
+      }
+    }
+    if (createdBlock !== null && createdBlock !== undefined) {
+      const timestamps = await store.getBlockTimestamps([createdBlock]);
+      poolAgeDays = (toTimestamp - timestamps[createdBlock]) / SECONDS_PER_DAY;
+    }
+  } catch (e) {
+    warnings.push(`Failed to find pool creation block: ${e.message}`);
+  }
+
+  const formatToken = (token, pricing, balanceNorm, fdv) => ({
+    address: token.address,
+    symbol: token.symbol,
+    decimals: token.decimals,
+    balance: balanceNorm,
+    priceUSD: pricing ? pricing.priceUSD : null,
+    priceSource: pricing ? { path: pricing.path, pools: pricing.pools, depthUSD: pricing.depthUSD } : null,
+    fdvUSD: fdv
+  });
+
+  return {
+    chainId,
+    chainName: config.name,
+    poolAddress,
+    pair: `${token0.symbol}/${token1.symbol}`,
+    token0: formatToken(token0, pricing0, balance0Norm, fdv0),
+    token1: formatToken(token1, pricing1, balance1Norm, fdv1),
+    feeTier,
+    price: {
+      token0Price,
+      token1Price
+    },
+    tick,
+    liquidity: liquidity.toString(),
+    tvlUSD: tvl,
+    window: {
+      seconds: windowSeconds,
+      fromBlock,
+      toBlock,
+      fromTime: new Date(fromTimestamp * 1000).toISOString(),
+      toTime: new Date(toTimestamp * 1000).toISOString()
+    },
+    volumeUSD,
+    buyVolumeUSD,
+    sellVolumeUSD,
+    feesUSD,
+    apr,
+    feeGrowthApr,
+    swapCount: swapEvents.length,
+    liquidityFlows,
+    poolAgeDays,
+    makers: traders.uniqueTraders,
+    buyers: traders.buyers,
+    sellers: traders.sellers,
+    traders,
+    warnings
+  };
+}
+
+module.exports = {
+  analyzePool,
+  parseWindow,
+  getChainConfig,
+  findPoolCreationBlock,
+  getFeeGrowthApr,
+  getPoolToken,
+  summarizeSwaps,
+  POOL_ABI,
+  ERC20_ABI
+};
@@ -0,0 +1,338 @@
+const { analyzePool } = require('./poolAnalytics');
+const { resolveChainId } = require('./tokenResolver');
+const { getPoolCandles, candlesToCSV } = require('./candles');
+const { analyzeLiquidityDepth, histogramToCSV } = require('./liquidityDepth');
+const { getPoolTwap } = require('./twap');
+const { findPairPools, findTokenPools } = require('./poolDiscovery');
+const { analyzeV2Pair, findV2Pair } = require('./v2PairAnalytics');
+const { analyzeV4Pool } = require('./v4PoolAnalytics');
+const { analyzePoolWindows } = require('./poolWindows');
+
+const USAGE = `Usage: node poolCli.js <chain> <poolAddress> [--window 24h] [--json]
+       node poolCli.js <chain> <poolAddress> --candles <interval> [--window 24h] [--invert] [--fill] [--csv]
+       node poolCli.js <chain> <poolAddress> --depth [--csv]
+       node poolCli.js <chain> <poolAddress> --twap [5m,30m,1h,24h]
+       node poolCli.js <chain> <poolAddress> --windows [1h,24h,7d,30d] [--from <time> [--to <time>]] [--json]
+       node poolCli.js <chain> --pools <tokenA>[/<tokenB>] [--json]
+       node poolCli.js <chain> <pairAddress> --v2 [--window 24h] [--json]
+       node poolCli.js <chain> --pools <tokenA>/<tokenB> --v2 [--window 24h] [--json]
+       node poolCli.js <chain> <poolId> --v4 [--window 24h] [--json]
+
+  chain        Chain ID or name from chainConfigs.js (e.g. 130, "Unichain", "Base")
+  poolAddress  Uniswap V3 pool address (or V2 pair address with --v2)
+  --window     Lookback window: seconds or a value like 1h, 24h, 7d (default: 24h)
+  --json       Print the metrics object as JSON
+  --candles    Print OHLCV candles at 1m, 5m, 1h or 1d instead of metrics (JSON by default)
+  --invert     Quote token1 in token0 instead of token0 in token1
+  --fill       Include flat candles for intervals without swaps
+  --depth      Print market depth at ±0.5/1/2/5% and the per-tick liquidity histogram
+  --twap       Print oracle TWAPs, harmonic-mean liquidity and realized volatility for comma-separated windows
+  --windows    Print volume, fees, APR, swaps and price change for comma-separated windows,
+               each compared with the window of the same length before it
+  --from/--to  Add a custom window to --windows (unix seconds or a date such as 2025-01-31; --to defaults to now)
+  --csv        Print candles, or the depth histogram, as CSV
+  --pools      Find the pools of a pair across fee tiers, or all pools of one token, ranked by TVL
+               (tokens by symbol from the token lists or by address)
+  --v2         Analyze a Uniswap V2 pair; with --pools, find the pair through the V2 factory
+  --v4         Analyze a Uniswap V4 pool by its pool ID on the chain's PoolManager
+
+Examples:
+  node poolCli.js Unichain 0x1D6ae37DB0e36305019fB3d4bad2750B8784aDF9
+  node poolCli.js Unichain 0x1D6ae37DB0e36305019fB3d4bad2750B8784aDF9 --candles 1h --window 7d --csv
+  node poolCli.js Unichain 0x1D6ae37DB0e36305019fB3d4bad2750B8784aDF9 --windows 24h,7d
+  node poolCli.js Base --pools WETH/USDC
+  node poolCli.js Ethereum --pools WETH/USDC --v2`;
+
+function parseArgs(argv) {
+  const args = { positional: [], window: "24h", json: false, candles: null, depth: false, twap: null, windows: null, from: null, to: null, pools: null, v2: false, v4: false, csv: false, invert: false, fill: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      args.json = true;
+    } else if (arg === "--window") {
+      args.window = argv[++i];
+    } else if (arg === "--candles") {
+      args.candles = argv[++i];
+    } else if (arg === "--twap") {
+      // The window list is optional
+      args.twap = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i].split(",") : [];
+    } else if (arg === "--windows") {
+      // The window list is optional
+      args.windows = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i].split(",") : [];
+    } else if (arg === "--from") {
+      args.from = argv[++i];
+    } else if (arg === "--to") {
+      args.to = argv[++i];
+    } else if (arg === "--pools") {
+      args.pools = argv[++i];
+    } else if (arg === "--v2") {
+      args.v2 = true;
+    } else if (arg === "--v4") {
+      args.v4 = true;
+    } else if (arg === "--depth") {
+      args.depth = true;
+    } else if (arg === "--csv") {
+      args.csv = true;
+    } else if (arg === "--invert") {
+      args.invert = true;
+    } else if (arg === "--fill") {
+      args.fill = true;
+    } else if (arg === "--help" || arg === "-h") {
+      args.help = true;
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+const usd = value => `$${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+function printBotShare(m) {
+  const bots = m.traders.mevAddressesKnown
+    ? `${m.traders.botVolumeShare.toFixed(2)}% (known MEV)`
+    : `N/A (no MEV address list for ${m.chainName})`;
+  console.log(`Bot share of volume: ${bots}, unlabeled contracts ${m.traders.contractVolumeShare.toFixed(2)}%`);
+}
+
+function printMetrics(m) {
+  console.log(`Pool: ${m.pair} (${m.poolAddress}) on ${m.chainName}`);
+  if (m.protocol === "v4") {
+    const permissions = m.hooks.permissions.length > 0 ? m.hooks.permissions.join(', ') : 'none';
+    console.log(`V4 pool on PoolManager ${m.poolManager}, tick spacing ${m.poolKey.tickSpacing}`);
+    console.log(`Hooks: ${m.hooks.address} (${permissions})${m.dynamicFee ? ', dynamic fee' : ''}`);
+    console.log(`Current LP fee: ${(m.feeTier * 100).toFixed(4)}%`);
+  }
+  console.log(`Window: #${m.window.fromBlock} at ${m.window.fromTime} -> #${m.window.toBlock} at ${m.window.toTime}`);
+  console.log(`Price (${m.token1.symbol} per ${m.token0.symbol}): ${m.price.token0Price}`);
+  console.log(`Price (${m.token0.symbol} per ${m.token1.symbol}): ${m.price.token1Price}`);
+  console.log(`Tick: ${m.tick}`);
+  console.log(`Liquidity: ${m.liquidity}`);
+  console.log(`Pool balances: ${m.token0.balance} ${m.token0.symbol}, ${m.token1.balance} ${m.token1.symbol}`);
+  for (const token of [m.token0, m.token1]) {
+    const source = token.priceSource ? `via ${token.priceSource.path.join(' -> ')}` : 'no on-chain path found';
+    console.log(`USD price (${token.symbol}): ${token.priceUSD !== null ? usd(token.priceUSD) : 'N/A'} (${source})`);
+  }
+  console.log(`TVL: ${usd(m.tvlUSD)}`);
+  const fdv = token => (token.fdvUSD !== null ? usd(token.fdvUSD) : 'N/A');
+  console.log(`FDV: ${m.token0.symbol}: ${fdv(m.token0)}, ${m.token1.symbol}: ${fdv(m.token1)}`);
+  console.log(`Volume: ${usd(m.volumeUSD)} (${m.swapCount} swaps)`);
+  console.log(`Buy volume: ${usd(m.buyVolumeUSD)}`);
+  console.log(`Sell volume: ${usd(m.sellVolumeUSD)}`);
+  console.log(`Fees: ${usd(m.feesUSD)}`);
+  console.log(`APR (volume x fee tier): ${m.apr.toFixed(2)}%`);
+  if (m.feeGrowthApr) {
+    const { fullRange, inRange, inRangeTicks } = m.feeGrowthApr;
+    const inRangeText = inRange !== null ? `${inRange.toFixed(2)}%` : 'N/A';
+    console.log(`APR (fee growth): full range ${fullRange.toFixed(2)}%, in range ${inRangeText} (ticks ${inRangeTicks[0]} to ${inRangeTicks[1]})`);
+  } else {
+    console.log('APR (fee growth): N/A (historical calls not supported by the RPC)');
+  }
+  console.log(`Pool age: ${m.poolAgeDays !== null ? m.poolAgeDays.toFixed(2) + ' days' : 'N/A'}`);
+  console.log(`Traders: ${m.makers}, Buyers: ${m.buyers}, Sellers: ${m.sellers}`);
+  const byType = m.traders.volumeByType;
+  console.log(`Volume by route: router ${usd(byType.router)}, aggregator ${usd(byType.aggregator)}, MEV ${usd(byType.mev)}, other contracts ${usd(byType.contract)}`);
+  printBotShare(m);
+  for (const trader of m.traders.topTraders) {
+    console.log(`  ${trader.address}: ${usd(trader.volumeUSD)} in ${trader.swaps} swaps (${trader.via || trader.type})`);
+  }
+
+  const flows = m.liquidityFlows;
+  console.log(`Liquidity added: ${usd(flows.added.usd)} (${flows.added.count} mints)`);
+  console.log(`Liquidity removed: ${usd(flows.removed.usd)} (${flows.removed.count} burns)`);
+  console.log(`Net liquidity flow: ${flows.netUSD < 0 ? '-' : ''}${usd(Math.abs(flows.netUSD))} (${flows.netLiquidity} liquidity units)`);
+  console.log(`Unique LPs: ${flows.uniqueLPs}`);
+  console.log(`Fees collected: ${usd(flows.feesCollected.usd)} (${flows.feesCollected.count} collects)`);
+  for (const move of flows.largestMoves) {
+    console.log(`  ${move.type === "Mint" ? 'Add' : 'Remove'} ${usd(move.usd)} by ${move.lp} at #${move.blockNumber} (ticks ${move.tickLower} to ${move.tickUpper})`);
+  }
+}
+
+function printV2Metrics(m) {
+  console.log(`V2 pair: ${m.pair} (${m.pairAddress}) on ${m.chainName}`);
+  console.log(`Window: #${m.window.fromBlock} at ${m.window.fromTime} -> #${m.window.toBlock} at ${m.window.toTime}`);
+  console.log(`Reserves: ${m.token0.reserve} ${m.token0.symbol}, ${m.token1.reserve} ${m.token1.symbol}`);
+  console.log(`Price (${m.token1.symbol} per ${m.token0.symbol}): ${m.price.token0Price}`);
+  console.log(`Price (${m.token0.symbol} per ${m.token1.symbol}): ${m.price.token1Price}`);
+  if (m.twap) {
+    console.log(`TWAP over ${m.twap.seconds}s (${m.token1.symbol} per ${m.token0.symbol}): ${m.twap.token0Price}`);
+  } else {
+    console.log('TWAP: N/A (historical calls not supported by the RPC)');
+  }
+  for (const token of [m.token0, m.token1]) {
+    const source = token.priceSource ? `via ${token.priceSource.path.join(' -> ')}` : 'no on-chain path found';
+    console.log(`USD price (${token.symbol}): ${token.priceUSD !== null ? usd(token.priceUSD) : 'N/A'} (${source})`);
+  }
+  console.log(`TVL: ${usd(m.tvlUSD)}`);
+  console.log(`LP token supply: ${m.lpToken.totalSupply}, LP token price: ${m.lpToken.priceUSD !== null ? usd(m.lpToken.priceUSD) : 'N/A'}`);
+  console.log(`Volume: ${usd(m.volumeUSD)} (${m.swapCount} swaps)`);
+  console.log(`Buy volume: ${usd(m.buyVolumeUSD)}`);
+  console.log(`Sell volume: ${usd(m.sellVolumeUSD)}`);
+  console.log(`Fees (0.3%): ${usd(m.feesUSD)}`);
+  console.log(`APR: ${m.apr.toFixed(2)}%`);
+  console.log(`Pair age: ${m.poolAgeDays !== null ? m.poolAgeDays.toFixed(2) + ' days' : 'N/A'}`);
+  console.log(`Traders: ${m.makers}, Buyers: ${m.buyers}, Sellers: ${m.sellers}`);
+  printBotShare(m);
+}
+
+function printPools(pools) {
+  for (const pool of pools) {
+    const tvl = pool.tvlUSD !== null ? usd(pool.tvlUSD) : 'N/A';
+    console.log(`${pool.pair} ${pool.feeTier * 100}% ${pool.poolAddress}  TVL ${tvl}  liquidity ${pool.liquidity}`);
+  }
+}
+
+function printDepth(d) {
+  const { token0, token1 } = d;
+  console.log(`Pool: ${token0.symbol}/${token1.symbol} (${d.poolAddress})`);
+  console.log(`Price (${token1.symbol} per ${token0.symbol}): ${d.price}`);
+  console.log(`Tick: ${d.tick} (spacing ${d.tickSpacing}), liquidity: ${d.liquidity}, initialized ticks scanned: ${d.initializedTicks}`);
+  for (const { percent, up, down } of d.depth) {
+    console.log(`+${percent}%: buy ${up.token0Out} ${token0.symbol} for ${up.token1In} ${token1.symbol}`);
+    console.log(`-${percent}%: sell ${down.token0In} ${token0.symbol} for ${down.token1Out} ${token1.symbol}`);
+  }
+}
+
+const percent = value => (value !== null ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}%` : 'N/A');
+
+function printWindows(w) {
+  console.log(`Pool: ${w.pair} (${w.poolAddress}) on ${w.chainName}`);
+  console.log(`Price (${w.token1.symbol} per ${w.token0.symbol}): ${w.price}, TVL: ${usd(w.tvlUSD)}`);
+  for (const { window, current, previous, change } of w.windows) {
+    console.log(`\n${window}: #${current.fromBlock} at ${current.fromTime} -> #${current.toBlock} at ${current.toTime}`);
+    console.log(`  Volume: ${usd(current.volumeUSD)} (${percent(change.volumeUSD)} vs ${usd(previous.volumeUSD)})`);
+    console.log(`  Fees: ${usd(current.feesUSD)} (${percent(change.feesUSD)} vs ${usd(previous.feesUSD)})`);
+    console.log(`  APR: ${current.apr.toFixed(2)}% (${percent(change.apr)} vs ${previous.apr.toFixed(2)}%)`);
+    console.log(`  Swaps: ${current.swapCount} (${percent(change.swapCount)} vs ${previous.swapCount})`);
+    console.log(`  Price change: ${percent(current.price.changePercent)} (previous window ${percent(previous.price.changePercent)})`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.positional.length !== (args.pools ? 1 : 2)) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  try {
+    const [chain, poolAddress] = args.positional;
+
+    if (args.v4) {
+      const metrics = await analyzeV4Pool({ chainId: resolveChainId(chain), poolId: poolAddress, window: args.window });
+      if (args.json) {
+        console.log(JSON.stringify(metrics, null, 2));
+      } else {
+        printMetrics(metrics);
+      }
+      for (const warning of metrics.warnings) console.error(`Warning: ${warning}`);
+      return;
+    }
+
+    if (args.v2) {
+      const chainId = resolveChainId(chain);
+      let pairAddress = poolAddress;
+      if (args.pools) {
+        const [tokenA, tokenB] = args.pools.split("/");
+        if (!tokenB) {
+          throw new Error(`--v2 needs a token pair such as WETH/USDC, got "${args.pools}"`);
+        }
+        pairAddress = await findV2Pair({ chainId, tokenA, tokenB });
+        if (!pairAddress) {
+          console.log(`No V2 pair found for ${args.pools}`);
+          return;
+        }
+      }
+      const metrics = await analyzeV2Pair({ chainId, pairAddress, window: args.window });
+      if (args.json) {
+        console.log(JSON.stringify(metrics, null, 2));
+      } else {
+        printV2Metrics(metrics);
+      }
+      for (const warning of metrics.warnings) console.error(`Warning: ${warning}`);
+      return;
+    }
+
+    if (args.pools) {
+      const [tokenA, tokenB] = args.pools.split("/");
+      const chainId = resolveChainId(chain);
+      const pools = tokenB
+        ? await findPairPools({ chainId, tokenA, tokenB })
+        : (await findTokenPools({ chainId, token: tokenA })).pools;
+      if (args.json) {
+        console.log(JSON.stringify(pools, null, 2));
+      } else if (pools.length === 0) {
+        console.log(`No pools found for ${args.pools}`);
+      } else {
+        printPools(pools);
+      }
+      return;
+    }
+
+    if (args.candles) {
+      const result = await getPoolCandles({
+        chainId: resolveChainId(chain),
+        poolAddress,
+        interval: args.candles,
+        window: args.window,
+        invert: args.invert,
+        fill: args.fill
+      });
+      console.log(args.csv ? candlesToCSV(result.candles) : JSON.stringify(result, null, 2));
+      return;
+    }
+
+    if (args.twap) {
+      const result = await getPoolTwap({
+        chainId: resolveChainId(chain),
+        poolAddress,
+        windows: args.twap.length > 0 ? args.twap : undefined
+      });
+      console.log(JSON.stringify(result, null, 2));
+      for (const warning of result.warnings) console.error(`Warning: ${warning}`);
+      return;
+    }
+
+    if (args.windows || args.from) {
+      let windows = args.windows && args.windows.length > 0 ? args.windows : undefined;
+      if (args.from) windows = [...(windows || []), { from: args.from, to: args.to || undefined }];
+      const result = await analyzePoolWindows({ chainId: resolveChainId(chain), poolAddress, windows });
+      if (args.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        printWindows(result);
+      }
+      return;
+    }
+
+    if (args.depth) {
+      const result = await analyzeLiquidityDepth({ chainId: resolveChainId(chain), poolAddress });
+      if (args.csv) {
+        console.log(histogramToCSV(result.histogram));
+      } else if (args.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        printDepth(result);
+      }
+      return;
+    }
+
+    const metrics = await analyzePool({
+      chainId: resolveChainId(chain),
+      poolAddress,
+      window: args.window
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(metrics, null, 2));
+    } else {
+      printMetrics(metrics);
+    }
+    for (const warning of metrics.warnings) console.error(`Warning: ${warning}`);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
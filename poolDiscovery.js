@@ -0,0 +1,186 @@
+const { ethers } = require("ethers");
+
+const { getChainConfig, getPoolToken, ERC20_ABI } = require('./poolAnalytics');
+const { createUSDPricer, FEE_TIERS } = require('./usdPricing');
+const { fetchLogs } = require('./logFetcher');
+const { resolveToken } = require('./tokenResolver');
+const { normalizeAmount, amountToUSD, usdToNumber } = require('./poolMath');
+
+const DISCOVERY_FACTORY_ABI = [
+  "function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)",
+  "event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)"
+];
+const DISCOVERY_POOL_ABI = [
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function liquidity() view returns (uint128)"
+];
+
+// Pools per token that get full TVL pricing when scanning PoolCreated events
+const DEFAULT_POOL_LIMIT = 20;
+
+// RPC calls sent at once when reading pool state
+const BATCH_SIZE = 20;
+
+/**
+ * Resolve a token given by symbol from the token lists or by address
+ * @param {number} chainId - Chain ID
+ * @param {string} token - Token symbol (e.g. "WETH", "USDC.e"), address, or "chain:symbol"
+ * @returns {string} Checksummed token address
+ */
+function resolveTokenAddress(chainId, token) {
+  return resolveToken(token, { chainId }).address;
+}
+
+/**
+ * Read a pool's state and value its balances in USD
+ * @returns {Promise<Object>} Pool address, fee, tokens, tick, liquidity and TVL
+ */
+async function getPoolSummary(provider, pricer, { poolAddress, token0, token1, fee }) {
+  const pool = new ethers.Contract(poolAddress, DISCOVERY_POOL_ABI, provider);
+  const [slot0, liquidity, poolToken0, poolToken1] = await Promise.all([
+    pool.slot0(),
+    pool.liquidity(),
+    getPoolToken(token0, poolAddress, provider),
+    getPoolToken(token1, poolAddress, provider)
+  ]);
+
+  const [pricing0, pricing1] = await Promise.all([
+    pricer.getPrice(token0).catch(() => null),
+    pricer.getPrice(token1).catch(() => null)
+  ]);
+  const balance0 = normalizeAmount(poolToken0.balance, poolToken0.decimals);
+  const balance1 = normalizeAmount(poolToken1.balance, poolToken1.decimals);
+  const priced = pricing0 && pricing1;
+
+  return {
+    poolAddress,
+    pair: `${poolToken0.symbol}/${poolToken1.symbol}`,
+    fee,
+    feeTier: fee / 1e6,
+    token0: { address: token0, symbol: poolToken0.symbol, balance: balance0 },
+    token1: { address: token1, symbol: poolToken1.symbol, balance: balance1 },
+    tick: slot0.tick,
+    liquidity: liquidity.toString(),
+    tvlUSD: priced
+      ? usdToNumber(amountToUSD(poolToken0.balance, poolToken0.decimals, pricing0.priceUSD) +
+        amountToUSD(poolToken1.balance, poolToken1.decimals, pricing1.priceUSD))
+      : null
+  };
+}
+
+// Highest TVL first; pools without a USD value go last, ordered by liquidity
+function rankPools(pools) {
+  return pools.sort((a, b) => {
+    if (a.tvlUSD !== null && b.tvlUSD !== null && a.tvlUSD !== b.tvlUSD) return b.tvlUSD - a.tvlUSD;
+    if ((a.tvlUSD === null) !== (b.tvlUSD === null)) return a.tvlUSD === null ? 1 : -1;
+    const liquidityA = BigInt(a.liquidity);
+    const liquidityB = BigInt(b.liquidity);
+    return liquidityA === liquidityB ? 0 : (liquidityB > liquidityA ? 1 : -1);
+  });
+}
+
+async function inBatches(items, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    results.push(...await Promise.all(items.slice(i, i + BATCH_SIZE).map(fn)));
+  }
+  return results;
+}
+
+/**
+ * Find the V3 pools of a token pair across all fee tiers
+ * @param {Object} params - Parameters for the lookup
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenA - Token symbol from the token lists or address
+ * @param {string} params.tokenB - Token symbol from the token lists or address
+ * @param {number[]} [params.feeTiers=[100, 500, 3000, 10000]] - Fee tiers to check
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @param {Object} [params.pricer] - USD pricer from usdPricing.js to share across calls
+ * @returns {Promise<Array<Object>>} Existing pools ranked by TVL, then liquidity
+ */
+async function findPairPools(params) {
+  const { chainId, feeTiers = FEE_TIERS } = params;
+  const config = getChainConfig(chainId);
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const pricer = params.pricer || createUSDPricer(chainId, provider);
+
+  const tokenA = resolveTokenAddress(chainId, params.tokenA);
+  const tokenB = resolveTokenAddress(chainId, params.tokenB);
+  if (tokenA === tokenB) {
+    throw new Error(`Both tokens resolve to ${tokenA}`);
+  }
+  const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+
+  const factory = new ethers.Contract(config.poolFactory, DISCOVERY_FACTORY_ABI, provider);
+  const addresses = await Promise.all(feeTiers.map(fee => factory.getPool(token0, token1, fee)));
+
+  const found = feeTiers
+    .map((fee, i) => ({ poolAddress: addresses[i], token0, token1, fee }))
+    .filter(pool => pool.poolAddress !== ethers.constants.AddressZero);
+
+  return rankPools(await Promise.all(found.map(pool => getPoolSummary(provider, pricer, pool))));
+}
+
+/**
+ * List all V3 pools containing a token from the factory's PoolCreated events
+ * @param {Object} params - Parameters for the scan
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.token - Token symbol from the token lists or address
+ * @param {number} [params.fromBlock=0] - First block to scan
+ * @param {number} [params.limit=20] - Number of pools, by the token's pool balance, that are valued in USD and returned
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @param {Object} [params.pricer] - USD pricer from usdPricing.js to share across calls
+ * @returns {Promise<Object>} Token, number of pools found and the top pools ranked by TVL, then liquidity
+ */
+async function findTokenPools(params) {
+  const { chainId, fromBlock = 0, limit = DEFAULT_POOL_LIMIT } = params;
+  const config = getChainConfig(chainId);
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const pricer = params.pricer || createUSDPricer(chainId, provider);
+  const token = resolveTokenAddress(chainId, params.token);
+
+  const iface = new ethers.utils.Interface(DISCOVERY_FACTORY_ABI);
+  const toBlock = await provider.getBlockNumber();
+  // The token can be either token0 or token1; both are indexed, so each query stays small
+  const [asToken0, asToken1] = await Promise.all([
+    iface.encodeFilterTopics("PoolCreated", [token, null, null]),
+    iface.encodeFilterTopics("PoolCreated", [null, token, null])
+  ].map(topics => fetchLogs(provider, {
+    address: config.poolFactory,
+    fromBlock,
+    toBlock,
+    topics
+  }, { chunkSize: toBlock + 1 })));
+
+  const created = asToken0.concat(asToken1).map(log => {
+    const { args } = iface.parseLog(log);
+    return { poolAddress: args.pool, token0: args.token0, token1: args.token1, fee: args.fee, createdBlock: log.blockNumber };
+  });
+
+  // Pricing every pool's other token is expensive, so only the pools holding the most of the token are valued
+  const tokenContract = new ethers.Contract(token, ERC20_ABI, provider);
+  const balances = await inBatches(created, pool => tokenContract.balanceOf(pool.poolAddress));
+  const candidates = created
+    .map((pool, i) => ({ pool, balance: balances[i] }))
+    .sort((a, b) => (b.balance.gt(a.balance) ? 1 : b.balance.lt(a.balance) ? -1 : 0))
+    .slice(0, limit);
+
+  const pools = await inBatches(candidates, async ({ pool }) => ({
+    ...await getPoolSummary(provider, pricer, pool),
+    createdBlock: pool.createdBlock
+  }));
+
+  return {
+    chainId,
+    token,
+    poolCount: created.length,
+    pools: rankPools(pools)
+  };
+}
+
+module.exports = {
+  findPairPools,
+  findTokenPools,
+  resolveTokenAddress,
+  DEFAULT_POOL_LIMIT
+};
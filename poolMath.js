@@ -0,0 +1,243 @@
+const { Fraction } = require("@uniswap/sdk-core");
+const { TickMath } = require("@uniswap/v3-sdk");
+
+const Q96 = 2n ** 96n;
+const Q112 = 2n ** 112n;
+const Q192 = Q96 * Q96;
+
+// USD values are summed as integers with this many decimals
+const USD_DECIMALS = 18;
+
+// Significant digits kept when an exact value is turned into a JavaScript number
+const NUMBER_DIGITS = 17;
+
+const toBigInt = value => BigInt(value.toString());
+const pow10 = exponent => 10n ** BigInt(exponent);
+
+/**
+ * Exact price of token0 in token1 from a pool's sqrtPriceX96, the same
+ * ratio the SDK's Pool.token0Price builds
+ * @param {BigInt|ethers.BigNumber|string} sqrtPriceX96 - sqrt(price) as a Q64.96
+ * @param {number} decimals0 - token0 decimals
+ * @param {number} decimals1 - token1 decimals
+ * @returns {Fraction} Price in whole tokens
+ * @example toNumber(sqrtPriceX96ToPrice(2n ** 96n, 18, 18)) // 1
+ */
+function sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1) {
+  const sqrtPrice = toBigInt(sqrtPriceX96);
+  return new Fraction(
+    (sqrtPrice * sqrtPrice * pow10(decimals0)).toString(),
+    (Q192 * pow10(decimals1)).toString()
+  );
+}
+
+/**
+ * Exact price of token0 in token1 from a V2 pair's reserves
+ * @param {BigInt|ethers.BigNumber|string} reserve0 - Raw token0 reserve
+ * @param {BigInt|ethers.BigNumber|string} reserve1 - Raw token1 reserve
+ * @param {number} decimals0 - token0 decimals
+ * @param {number} decimals1 - token1 decimals
+ * @returns {Fraction|null} Price in whole tokens, or null when reserve0 is empty
+ * @example formatPrice(reservesToPrice("1000000000000000000", "2500000000", 18, 6)) // "2500"
+ */
+function reservesToPrice(reserve0, reserve1, decimals0, decimals1) {
+  const r0 = toBigInt(reserve0);
+  if (r0 === 0n) return null;
+  return new Fraction(
+    (toBigInt(reserve1) * pow10(decimals0)).toString(),
+    (r0 * pow10(decimals1)).toString()
+  );
+}
+
+/**
+ * Exact price of token0 in token1 from a UQ112x112 raw price, as kept by V2 price accumulators
+ * @param {BigInt|string} priceX112 - Raw price as a UQ112x112
+ * @param {number} decimals0 - token0 decimals
+ * @param {number} decimals1 - token1 decimals
+ * @returns {Fraction} Price in whole tokens
+ */
+function uq112x112ToPrice(priceX112, decimals0, decimals1) {
+  return new Fraction(
+    (toBigInt(priceX112) * pow10(decimals0)).toString(),
+    (Q112 * pow10(decimals1)).toString()
+  );
+}
+
+/**
+ * sqrtPriceX96 at a tick, rounded exactly like the pools' TickMath library
+ * @param {number} tick - Tick
+ * @returns {BigInt} sqrt(1.0001^tick) as a Q64.96
+ */
+function tickToSqrtPriceX96(tick) {
+  return toBigInt(TickMath.getSqrtRatioAtTick(tick));
+}
+
+/**
+ * sqrt(1.0001^tick) as a number, from the exact TickMath value
+ * @param {number} tick - Tick
+ * @returns {number} Square root of the raw price
+ */
+function tickToSqrtPrice(tick) {
+  return toNumber(new Fraction(tickToSqrtPriceX96(tick).toString(), Q96.toString()));
+}
+
+/**
+ * Raw token0 amount between two sqrt prices for an amount of liquidity,
+ * rounded down like the pools' SqrtPriceMath.getAmount0Delta
+ * @param {BigInt} sqrtAX96 - One sqrt price as a Q64.96
+ * @param {BigInt} sqrtBX96 - The other sqrt price as a Q64.96
+ * @param {BigInt|string} liquidity - Liquidity
+ * @returns {BigInt} Raw token0 amount
+ */
+function getAmount0Delta(sqrtAX96, sqrtBX96, liquidity) {
+  const [lower, upper] = sqrtAX96 < sqrtBX96 ? [sqrtAX96, sqrtBX96] : [sqrtBX96, sqrtAX96];
+  return toBigInt(liquidity) * Q96 * (upper - lower) / upper / lower;
+}
+
+/**
+ * Raw token1 amount between two sqrt prices for an amount of liquidity,
+ * rounded down like the pools' SqrtPriceMath.getAmount1Delta
+ * @param {BigInt} sqrtAX96 - One sqrt price as a Q64.96
+ * @param {BigInt} sqrtBX96 - The other sqrt price as a Q64.96
+ * @param {BigInt|string} liquidity - Liquidity
+ * @returns {BigInt} Raw token1 amount
+ */
+function getAmount1Delta(sqrtAX96, sqrtBX96, liquidity) {
+  const [lower, upper] = sqrtAX96 < sqrtBX96 ? [sqrtAX96, sqrtBX96] : [sqrtBX96, sqrtAX96];
+  return toBigInt(liquidity) * (upper - lower) / Q96;
+}
+
+/**
+ * Raw token amounts held by liquidity over a price range at the current
+ * price, like the periphery's LiquidityAmounts.getAmountsForLiquidity
+ * @param {BigInt} sqrtPriceX96 - Current sqrt price as a Q64.96
+ * @param {BigInt} sqrtLowerX96 - sqrt price at the range's lower tick
+ * @param {BigInt} sqrtUpperX96 - sqrt price at the range's upper tick
+ * @param {BigInt|string} liquidity - Liquidity
+ * @returns {Object} amount0 and amount1 (BigInt)
+ */
+function getAmountsForLiquidity(sqrtPriceX96, sqrtLowerX96, sqrtUpperX96, liquidity) {
+  const current = toBigInt(sqrtPriceX96);
+  const clamped = current < sqrtLowerX96 ? sqrtLowerX96 : (current > sqrtUpperX96 ? sqrtUpperX96 : current);
+  return {
+    amount0: getAmount0Delta(clamped, sqrtUpperX96, liquidity),
+    amount1: getAmount1Delta(sqrtLowerX96, clamped, liquidity)
+  };
+}
+
+/**
+ * Exact price of token0 in token1 at a tick
+ * @param {number} tick - Tick
+ * @param {number} decimals0 - token0 decimals
+ * @param {number} decimals1 - token1 decimals
+ * @returns {Fraction} Price in whole tokens
+ * @example formatPrice(tickToPrice(-200000, 18, 6)) // "2063.22" (USDT per WETH)
+ */
+function tickToPrice(tick, decimals0, decimals1) {
+  return sqrtPriceX96ToPrice(tickToSqrtPriceX96(tick), decimals0, decimals1);
+}
+
+/**
+ * Reciprocal of a price; a zero price has no reciprocal
+ * @param {Fraction} price - Price
+ * @returns {Fraction|null} 1 / price, or null when the price is zero
+ */
+function invertPrice(price) {
+  return toBigInt(price.numerator) === 0n ? null : price.invert();
+}
+
+/**
+ * Raw token amount in whole tokens
+ * @param {BigInt|ethers.BigNumber|string} raw - Amount in the token's smallest unit
+ * @param {number} decimals - Token decimals
+ * @returns {number} Amount in whole tokens, rounded once
+ * @example normalizeAmount("1500000", 6) // 1.5
+ */
+function normalizeAmount(raw, decimals) {
+  return toNumber(new Fraction(toBigInt(raw).toString(), pow10(decimals).toString()));
+}
+
+/**
+ * Convert a decimal number to a fixed-point integer, truncating extra digits
+ * @param {number|string} value - Decimal value, plain or in exponent notation
+ * @param {number} [decimals=18] - Decimals of the result
+ * @returns {BigInt} value * 10^decimals
+ * @example toFixedPoint(1.25, 2) // 125n
+ */
+function toFixedPoint(value, decimals = USD_DECIMALS) {
+  if (!Number.isFinite(Number(value))) {
+    throw new Error(`Cannot convert ${value} to fixed point`);
+  }
+  const [mantissa, exponent = "0"] = String(value).toLowerCase().split("e");
+  const negative = mantissa.startsWith("-");
+  const [whole, fraction = ""] = mantissa.replace(/^[-+]/, "").split(".");
+  const digits = BigInt(whole + fraction);
+  const shift = Number(exponent) + decimals - fraction.length;
+  const scaled = shift >= 0 ? digits * pow10(shift) : digits / pow10(-shift);
+  return negative ? -scaled : scaled;
+}
+
+/**
+ * USD value of a raw token amount as a fixed-point integer, so values can be
+ * summed without rounding and converted once with usdToNumber
+ * @param {BigInt|ethers.BigNumber|string} raw - Amount in the token's smallest unit
+ * @param {number} decimals - Token decimals
+ * @param {number} priceUSD - USD price of one whole token
+ * @returns {BigInt} USD value with USD_DECIMALS decimals
+ * @example usdToNumber(amountToUSD("2500000", 6, 0.9998)) // 2.4995
+ */
+function amountToUSD(raw, decimals, priceUSD) {
+  return toBigInt(raw) * toFixedPoint(priceUSD) / pow10(decimals);
+}
+
+/**
+ * Fixed-point USD value from amountToUSD as a number
+ * @param {BigInt} usd - USD value with USD_DECIMALS decimals
+ * @returns {number} USD value
+ */
+function usdToNumber(usd) {
+  return toNumber(new Fraction(usd.toString(), pow10(USD_DECIMALS).toString()));
+}
+
+/**
+ * Round an exact value once to the nearest JavaScript number
+ * @param {Fraction} fraction - Exact value
+ * @returns {number} Value as a number
+ */
+function toNumber(fraction) {
+  return Number(fraction.toSignificant(NUMBER_DIGITS));
+}
+
+/**
+ * Format a price the way the Uniswap SDK and interface display it
+ * @param {Fraction} price - Exact price
+ * @param {number} [significantDigits=6] - Significant digits to keep, rounding half up
+ * @returns {string} Formatted price
+ * @example formatPrice(sqrtPriceX96ToPrice(2n ** 96n, 18, 6)) // "1000000000000"
+ */
+function formatPrice(price, significantDigits = 6) {
+  return price.toSignificant(significantDigits);
+}
+
+module.exports = {
+  sqrtPriceX96ToPrice,
+  reservesToPrice,
+  uq112x112ToPrice,
+  tickToSqrtPriceX96,
+  tickToSqrtPrice,
+  tickToPrice,
+  getAmount0Delta,
+  getAmount1Delta,
+  getAmountsForLiquidity,
+  invertPrice,
+  normalizeAmount,
+  toFixedPoint,
+  amountToUSD,
+  usdToNumber,
+  toNumber,
+  formatPrice,
+  Q96,
+  Q112,
+  Q192,
+  USD_DECIMALS
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Fraction } = require("@uniswap/sdk-core");
+
+const {
+  sqrtPriceX96ToPrice,
+  reservesToPrice,
+  tickToSqrtPriceX96,
+  tickToPrice,
+  getAmountsForLiquidity,
+  invertPrice,
+  normalizeAmount,
+  toFixedPoint,
+  amountToUSD,
+  usdToNumber,
+  toNumber,
+  formatPrice,
+  Q96
+} = require('./poolMath');
+
+test('tickToPrice matches the SDK price at tick -200000', () => {
+  assert.equal(formatPrice(tickToPrice(-200000, 18, 6)), "2063.22");
+});
+
+test('sqrtPriceX96ToPrice of 2^96 is 1 for equal decimals', () => {
+  assert.equal(toNumber(sqrtPriceX96ToPrice(2n ** 96n, 18, 18)), 1);
+  assert.equal(formatPrice(sqrtPriceX96ToPrice(2n ** 96n, 18, 6)), "1000000000000");
+});
+
+test('reservesToPrice scales reserves by decimals', () => {
+  assert.equal(formatPrice(reservesToPrice("1000000000000000000", "2500000000", 18, 6)), "2500");
+  assert.equal(reservesToPrice("0", "2500000000", 18, 6), null);
+});
+
+test('amountToUSD sums without rounding', () => {
+  assert.equal(usdToNumber(amountToUSD("2500000", 6, 0.9998)), 2.4995);
+  assert.equal(normalizeAmount("1500000", 6), 1.5);
+});
+
+test('toFixedPoint handles exponent notation and negative input', () => {
+  assert.equal(toFixedPoint(1.25, 2), 125n);
+  assert.equal(toFixedPoint(1e-7, 9), 100n);
+  assert.equal(toFixedPoint("2.5e3", 0), 2500n);
+  assert.equal(toFixedPoint(1.5e21, 0), 1500000000000000000000n);
+  assert.equal(toFixedPoint(-0.75, 2), -75n);
+  assert.equal(toFixedPoint("-1.2345", 2), -123n);
+  assert.throws(() => toFixedPoint(Infinity), /Cannot convert/);
+});
+
+test('invertPrice returns null for a zero price', () => {
+  assert.equal(invertPrice(new Fraction(0, 1)), null);
+  assert.equal(toNumber(invertPrice(new Fraction(4, 1))), 0.25);
+});
+
+test('getAmountsForLiquidity splits a range around the price', () => {
+  const sqrtLower = tickToSqrtPriceX96(-600);
+  const sqrtUpper = tickToSqrtPriceX96(600);
+  // Same amounts as the v3-sdk Position at tick 0
+  assert.deepEqual(getAmountsForLiquidity(Q96, sqrtLower, sqrtUpper, 10n ** 18n), {
+    amount0: 29553010879137169n,
+    amount1: 29553010879137169n
+  });
+  // Below the range everything is token0, above it everything is token1
+  assert.equal(getAmountsForLiquidity(tickToSqrtPriceX96(-1200), sqrtLower, sqrtUpper, 10n ** 18n).amount1, 0n);
+  assert.equal(getAmountsForLiquidity(tickToSqrtPriceX96(1200), sqrtLower, sqrtUpper, 10n ** 18n).amount0, 0n);
+});
@@ -0,0 +1,234 @@
+const { ethers } = require("ethers");
+
+const {
+  getChainConfig,
+  parseWindow,
+  getPoolToken,
+  summarizeSwaps,
+  POOL_ABI
+} = require('./poolAnalytics');
+const { createUSDPricer } = require('./usdPricing');
+const { PoolEventStore } = require('./eventStore');
+const { getBlockResolver } = require('./blockResolver');
+const { sqrtPriceX96ToPrice, normalizeAmount, amountToUSD, usdToNumber, toNumber } = require('./poolMath');
+
+// Windows reported by default
+const DEFAULT_WINDOWS = ["1h", "24h", "7d", "30d"];
+
+const SECONDS_PER_YEAR = 365 * 86400;
+
+/**
+ * Parse a point in time given as a Date, unix seconds or a date string
+ * @param {Date|number|string} value - Time
+ * @returns {number} Unix timestamp in seconds
+ */
+function parseTime(value) {
+  if (value instanceof Date) return Math.floor(value.getTime() / 1000);
+  if (typeof value === "number" || /^\d+$/.test(String(value).trim())) return Number(value);
+
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid time "${value}". Use unix seconds or a date such as "2025-01-31" or "2025-01-31T12:00:00Z"`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * Turn a window spec into a time range ending now, or at the spec's own end
+ * @param {string|number|Object} spec - Window length ("24h", seconds) or { from, to } times
+ * @param {number} now - Timestamp of the latest block
+ * @returns {Object} Label, start and end timestamps
+ */
+function resolveWindow(spec, now) {
+  if (spec && typeof spec === "object") {
+    const start = parseTime(spec.from);
+    const end = spec.to !== undefined ? Math.min(parseTime(spec.to), now) : now;
+    if (start >= end) {
+      throw new Error(`Window start ${new Date(start * 1000).toISOString()} is not before its end ${new Date(end * 1000).toISOString()}`);
+    }
+    return { label: `${new Date(start * 1000).toISOString()} -> ${new Date(end * 1000).toISOString()}`, start, end };
+  }
+  return { label: String(spec), start: now - parseWindow(spec), end: now };
+}
+
+// Percent change from a previous value; null when there is nothing to compare with
+const percentChange = (current, previous) => (
+  current !== null && previous !== null && previous !== 0 ? (current - previous) / Math.abs(previous) * 100 : null
+);
+
+/**
+ * Volume, fees, APR, trade count and price change of a pool over several
+ * windows, each compared with the window of the same length right before it.
+ * Blocks are assigned to a period by timestamp: a period covers the blocks from
+ * the first one at or after its start up to, but excluding, the first one at
+ * or after its end.
+ *
+ * USD values use current USD prices and APR uses the current TVL for every
+ * period, so changes reflect activity rather than moves in the tokens' prices.
+ * @param {Object} params - Parameters for the analysis
+ * @param {number} params.chainId - Chain ID of the pool
+ * @param {string} params.poolAddress - Uniswap V3 pool address
+ * @param {Array<string|number|Object>} [params.windows=["1h", "24h", "7d", "30d"]] - Window lengths such as "24h",
+ *   or custom ranges as { from, to } with Dates, unix seconds or date strings (to defaults to now)
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @param {Object} [params.pricer] - USD pricer from usdPricing.js to share across calls
+ * @param {PoolEventStore} [params.store] - Event store to use instead of the default one for the pool
+ * @returns {Promise<Object>} Pool, current price and TVL, and current, previous and change per window
+ */
+async function analyzePoolWindows(params) {
+  const { chainId, windows = DEFAULT_WINDOWS } = params;
+  const config = getChainConfig(chainId);
+  if (!params.poolAddress || !ethers.utils.isAddress(params.poolAddress)) {
+    throw new Error(`Invalid pool address: ${params.poolAddress}`);
+  }
+  if (!Array.isArray(windows) || windows.length === 0) {
+    throw new Error("At least one window is required");
+  }
+  const poolAddress = ethers.utils.getAddress(params.poolAddress);
+
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const pool = new ethers.Contract(poolAddress, POOL_ABI, provider);
+  const store = params.store || new PoolEventStore({ chainId, poolAddress, provider });
+
+  const [token0Address, token1Address, slot0, fee] = await Promise.all([
+    pool.token0(),
+    pool.token1(),
+    pool.slot0(),
+    pool.fee()
+  ]);
+  const [token0, token1] = await Promise.all([
+    getPoolToken(token0Address, poolAddress, provider),
+    getPoolToken(token1Address, poolAddress, provider)
+  ]);
+  const decimals0 = token0.decimals;
+  const decimals1 = token1.decimals;
+  const feeTier = fee / 1e6;
+
+  const pricer = params.pricer || createUSDPricer(chainId, provider);
+  const [pricing0, pricing1] = await Promise.all([
+    pricer.getPrice(token0.address).catch(() => null),
+    pricer.getPrice(token1.address).catch(() => null)
+  ]);
+  const usd0 = pricing0 ? pricing0.priceUSD : 0;
+  const usd1 = pricing1 ? pricing1.priceUSD : 0;
+  const tvl = usdToNumber(amountToUSD(token0.balance, decimals0, usd0) + amountToUSD(token1.balance, decimals1, usd1));
+
+  const blocks = getBlockResolver(chainId, provider);
+  const latestBlock = await provider.getBlockNumber();
+  const latestTimestamp = await blocks.getBlockTimestamp(latestBlock);
+
+  // A window ending now includes the latest block
+  const blockAt = async timestamp => (timestamp >= latestTimestamp
+    ? latestBlock + 1
+    : blocks.findBlockAtOrAfter(timestamp));
+
+  const ranges = [];
+  for (const spec of windows) {
+    const { label, start, end } = resolveWindow(spec, latestTimestamp);
+    const seconds = end - start;
+    const [previousBlock, startBlock, endBlock] = await Promise.all([blockAt(start - seconds), blockAt(start), blockAt(end)]);
+    ranges.push({ label, seconds, previous: [previousBlock, startBlock], current: [startBlock, endBlock] });
+  }
+
+  const fromBlock = Math.min(...ranges.map(range => range.previous[0]));
+  await store.sync({ fromBlock, toBlock: latestBlock });
+  const swaps = store.getEvents({ type: "Swap", toBlock: latestBlock });
+
+  // Pool price after a block: from the last stored swap up to it, else read on-chain (archive RPC)
+  const prices = new Map();
+  const priceAfter = async block => {
+    if (!prices.has(block)) {
+      let sqrtPriceX96 = null;
+      for (let i = swaps.length - 1; i >= 0; i--) {
+        if (swaps[i].blockNumber <= block) {
+          sqrtPriceX96 = swaps[i].args.sqrtPriceX96;
+          break;
+        }
+      }
+      if (sqrtPriceX96 === null) {
+        sqrtPriceX96 = await pool.slot0({ blockTag: block })
+          .then(state => state.sqrtPriceX96)
+          .catch(() => null);
+      }
+      prices.set(block, sqrtPriceX96 !== null ? toNumber(sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1)) : null);
+    }
+    return prices.get(block);
+  };
+
+  // Boundary blocks are already anchors of the resolver, so this rarely needs a call
+  const timeOf = async block => new Date(await blocks.getBlockTimestamp(block) * 1000).toISOString();
+
+  // Metrics for blocks [startBlock, endBlock)
+  const summarizePeriod = async ([startBlock, endBlock], seconds) => {
+    const periodSwaps = swaps.filter(swap => swap.blockNumber >= startBlock && swap.blockNumber < endBlock);
+    const { volumeUSD, buyVolumeUSD, sellVolumeUSD } = summarizeSwaps(periodSwaps, { decimals0, decimals1, usd0, usd1 });
+    const feesUSD = volumeUSD * feeTier;
+    const [open, close, fromTime, toTime] = await Promise.all([
+      priceAfter(startBlock - 1),
+      priceAfter(endBlock - 1),
+      timeOf(startBlock),
+      timeOf(endBlock - 1)
+    ]);
+
+    return {
+      fromBlock: startBlock,
+      toBlock: endBlock - 1,
+      fromTime,
+      toTime,
+      volumeUSD,
+      buyVolumeUSD,
+      sellVolumeUSD,
+      feesUSD,
+      apr: tvl > 0 ? feesUSD * (SECONDS_PER_YEAR / seconds) / tvl * 100 : 0,
+      swapCount: periodSwaps.length,
+      price: {
+        open,
+        close,
+        changePercent: open !== null && close !== null ? percentChange(close, open) : null
+      }
+    };
+  };
+
+  const results = [];
+  for (const range of ranges) {
+    const [current, previous] = await Promise.all([
+      summarizePeriod(range.current, range.seconds),
+      summarizePeriod(range.previous, range.seconds)
+    ]);
+    results.push({
+      window: range.label,
+      seconds: range.seconds,
+      current,
+      previous,
+      change: {
+        volumeUSD: percentChange(current.volumeUSD, previous.volumeUSD),
+        feesUSD: percentChange(current.feesUSD, previous.feesUSD),
+        apr: percentChange(current.apr, previous.apr),
+        swapCount: percentChange(current.swapCount, previous.swapCount),
+        priceChangePoints: current.price.changePercent !== null && previous.price.changePercent !== null
+          ? current.price.changePercent - previous.price.changePercent
+          : null
+      }
+    });
+  }
+
+  return {
+    chainId,
+    chainName: config.name,
+    poolAddress,
+    pair: `${token0.symbol}/${token1.symbol}`,
+    feeTier,
+    token0: { address: token0.address, symbol: token0.symbol, balance: normalizeAmount(token0.balance, decimals0), priceUSD: pricing0 ? pricing0.priceUSD : null },
+    token1: { address: token1.address, symbol: token1.symbol, balance: normalizeAmount(token1.balance, decimals1), priceUSD: pricing1 ? pricing1.priceUSD : null },
+    price: toNumber(sqrtPriceX96ToPrice(slot0.sqrtPriceX96, decimals0, decimals1)),
+    tvlUSD: tvl,
+    latestBlock,
+    windows: results
+  };
+}
+
+module.exports = {
+  analyzePoolWindows,
+  parseTime,
+  DEFAULT_WINDOWS
+};
@@ -0,0 +1,93 @@
+const { ethers } = require("ethers");
+
+const { resolveChainId } = require('./tokenResolver');
+const { analyzePosition, analyzePositionsByOwner } = require('./positions');
+
+const USAGE = `Usage: node positionCli.js <chain> <tokenId|owner> [--all] [--json]
+
+  chain    Chain ID or name from chainConfigs.js (e.g. 130, "Unichain", "Base")
+  tokenId  NonfungiblePositionManager token ID of a V3 position
+  owner    Wallet address: analyze every V3 position it holds
+  --all    Include closed positions (no liquidity and no uncollected fees)
+  --json   Print the result as JSON
+
+Examples:
+  node positionCli.js Ethereum 1
+  node positionCli.js Unichain 0xYourWalletAddress --json`;
+
+function parseArgs(argv) {
+  const args = { positional: [], json: false, all: false };
+  for (const arg of argv) {
+    if (arg === "--json") {
+      args.json = true;
+    } else if (arg === "--all") {
+      args.all = true;
+    } else if (arg === "--help" || arg === "-h") {
+      args.help = true;
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+const usd = value => `$${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+function printPosition(p) {
+  const { token0, token1 } = p;
+  console.log(`Position #${p.tokenId}: ${token0.symbol}/${token1.symbol} ${p.fee / 10000}% (${p.poolAddress}), owner ${p.owner}`);
+  console.log(`Range (${token1.symbol} per ${token0.symbol}): ${p.priceLower} - ${p.priceUpper}, current ${p.priceCurrent} ` +
+    `(ticks ${p.tickLower} - ${p.tickUpper}, current ${p.tickCurrent}) ${p.inRange ? 'IN RANGE' : 'OUT OF RANGE'}`);
+  console.log(`Liquidity: ${p.liquidity}`);
+  console.log(`Amounts: ${p.amounts.token0} ${token0.symbol}, ${p.amounts.token1} ${token1.symbol}`);
+  console.log(`Uncollected fees: ${p.uncollectedFees.token0} ${token0.symbol}, ${p.uncollectedFees.token1} ${token1.symbol}`);
+  console.log(`Deposited: ${p.deposited.token0} ${token0.symbol}, ${p.deposited.token1} ${token1.symbol}`);
+  console.log(`Withdrawn: ${p.withdrawn.token0} ${token0.symbol}, ${p.withdrawn.token1} ${token1.symbol}`);
+  const il = p.impermanentLoss.percent;
+  console.log(`Impermanent loss vs. holding: ${il !== null ? il.toFixed(2) + '%' : 'N/A'}`);
+  if (p.valueUSD) {
+    console.log(`Value: ${usd(p.valueUSD.position)} + ${usd(p.valueUSD.uncollectedFees)} fees (hold value ${usd(p.valueUSD.hold)})`);
+  } else {
+    console.log('Value: N/A (no USD price found)');
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.positional.length !== 2) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  try {
+    const [chain, target] = args.positional;
+    const chainId = resolveChainId(chain);
+
+    if (ethers.utils.isAddress(target)) {
+      const result = await analyzePositionsByOwner({ chainId, owner: target, includeClosed: args.all });
+      if (args.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+      console.log(`${result.owner} holds ${result.count} position(s), showing ${result.positions.length}\n`);
+      for (const position of result.positions) {
+        printPosition(position);
+        console.log();
+      }
+      console.log(`Total: ${usd(result.totals.positionUSD)} + ${usd(result.totals.uncollectedFeesUSD)} fees`);
+      return;
+    }
+
+    const position = await analyzePosition({ chainId, tokenId: target });
+    if (args.json) {
+      console.log(JSON.stringify(position, null, 2));
+    } else {
+      printPosition(position);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,253 @@
+const { ethers } = require("ethers");
+const { Pool, Position, tickToPrice } = require("@uniswap/v3-sdk");
+
+const { getChainConfig } = require('./poolAnalytics');
+const { createToken } = require('./tokenUtils');
+const { createUSDPricer } = require('./usdPricing');
+const { fetchLogs } = require('./logFetcher');
+
+const POSITION_MANAGER_ABI = [
+  "function positions(uint256 tokenId) view returns (uint96 nonce, address operator, address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+  "event IncreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)",
+  "event DecreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)"
+];
+const FACTORY_ABI = [
+  "function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)"
+];
+const POSITION_POOL_ABI = [
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function liquidity() view returns (uint128)",
+  "function feeGrowthGlobal0X128() view returns (uint256)",
+  "function feeGrowthGlobal1X128() view returns (uint256)",
+  "function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)"
+];
+
+const Q128 = 2n ** 128n;
+const Q256 = 2n ** 256n;
+
+// Fee growth counters are uint256 and may overflow, so differences wrap like Solidity's unchecked math
+const subMod256 = (a, b) => ((a - b) % Q256 + Q256) % Q256;
+
+/**
+ * Fee growth inside a tick range, as in Uniswap V3's Tick.getFeeGrowthInside
+ */
+function getFeeGrowthInside(tickCurrent, tickLower, tickUpper, lower, upper, feeGrowthGlobal) {
+  const below = tickCurrent >= tickLower ? lower : subMod256(feeGrowthGlobal, lower);
+  const above = tickCurrent < tickUpper ? upper : subMod256(feeGrowthGlobal, upper);
+  return subMod256(subMod256(feeGrowthGlobal, below), above);
+}
+
+/**
+ * Sum the amounts added to and removed from a position from the position manager's events
+ */
+async function getPositionFlows(provider, positionManager, tokenId) {
+  const iface = new ethers.utils.Interface(POSITION_MANAGER_ABI);
+  const toBlock = await provider.getBlockNumber();
+  const tokenIdTopic = ethers.utils.hexZeroPad(ethers.BigNumber.from(tokenId).toHexString(), 32);
+
+  // tokenId is indexed, so one request over the whole chain stays small
+  const logs = await fetchLogs(provider, {
+    address: positionManager,
+    fromBlock: 0,
+    toBlock,
+    topics: [[iface.getEventTopic("IncreaseLiquidity"), iface.getEventTopic("DecreaseLiquidity")], tokenIdTopic]
+  }, { chunkSize: toBlock + 1 });
+
+  const flows = { deposited0: 0n, deposited1: 0n, withdrawn0: 0n, withdrawn1: 0n };
+  for (const log of logs) {
+    const parsed = iface.parseLog(log);
+    const amount0 = BigInt(parsed.args.amount0.toString());
+    const amount1 = BigInt(parsed.args.amount1.toString());
+    if (parsed.name === "IncreaseLiquidity") {
+      flows.deposited0 += amount0;
+      flows.deposited1 += amount1;
+    } else {
+      flows.withdrawn0 += amount0;
+      flows.withdrawn1 += amount1;
+    }
+  }
+  return flows;
+}
+
+/**
+ * Analyze a Uniswap V3 LP position NFT
+ * @param {Object} params - Parameters for the analysis
+ * @param {number} params.chainId - Chain ID
+ * @param {string|number} params.tokenId - NonfungiblePositionManager token ID
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @param {Object} [params.pricer] - USD pricer from usdPricing.js to share across calls
+ * @returns {Promise<Object>} Position amounts, uncollected fees, range status, impermanent loss and USD value
+ */
+async function analyzePosition(params) {
+  const { chainId } = params;
+  const config = getChainConfig(chainId);
+  if (!config.positionManager) {
+    throw new Error(`No NonfungiblePositionManager configured for ${config.name}`);
+  }
+  const tokenId = ethers.BigNumber.from(params.tokenId).toString();
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const pricer = params.pricer || createUSDPricer(chainId, provider);
+
+  const positionManager = new ethers.Contract(config.positionManager, POSITION_MANAGER_ABI, provider);
+  const [position, owner] = await Promise.all([
+    positionManager.positions(tokenId),
+    positionManager.ownerOf(tokenId)
+  ]);
+
+  const factory = new ethers.Contract(config.poolFactory, FACTORY_ABI, provider);
+  const poolAddress = await factory.getPool(position.token0, position.token1, position.fee);
+  const pool = new ethers.Contract(poolAddress, POSITION_POOL_ABI, provider);
+
+  // Pool state, the same reads the pool analytics use, plus fee growth for the range
+  const [slot0, poolLiquidity, feeGrowthGlobal0, feeGrowthGlobal1, lowerTick, upperTick, token0, token1, flows] = await Promise.all([
+    pool.slot0(),
+    pool.liquidity(),
+    pool.feeGrowthGlobal0X128(),
+    pool.feeGrowthGlobal1X128(),
+    pool.ticks(position.tickLower),
+    pool.ticks(position.tickUpper),
+    createToken(chainId, position.token0, provider),
+    createToken(chainId, position.token1, provider),
+    getPositionFlows(provider, config.positionManager, tokenId)
+  ]);
+
+  const sdkPool = new Pool(token0, token1, position.fee, slot0.sqrtPriceX96.toString(), poolLiquidity.toString(), slot0.tick);
+  const sdkPosition = new Position({
+    pool: sdkPool,
+    liquidity: position.liquidity.toString(),
+    tickLower: position.tickLower,
+    tickUpper: position.tickUpper
+  });
+
+  // Uncollected fees: tokensOwed plus fees accrued since the position was last touched
+  const liquidity = BigInt(position.liquidity.toString());
+  const feeGrowthInside0 = getFeeGrowthInside(
+    slot0.tick, position.tickLower, position.tickUpper,
+    BigInt(lowerTick.feeGrowthOutside0X128.toString()), BigInt(upperTick.feeGrowthOutside0X128.toString()),
+    BigInt(feeGrowthGlobal0.toString())
+  );
+  const feeGrowthInside1 = getFeeGrowthInside(
+    slot0.tick, position.tickLower, position.tickUpper,
+    BigInt(lowerTick.feeGrowthOutside1X128.toString()), BigInt(upperTick.feeGrowthOutside1X128.toString()),
+    BigInt(feeGrowthGlobal1.toString())
+  );
+  const fees0 = BigInt(position.tokensOwed0.toString()) +
+    liquidity * subMod256(feeGrowthInside0, BigInt(position.feeGrowthInside0LastX128.toString())) / Q128;
+  const fees1 = BigInt(position.tokensOwed1.toString()) +
+    liquidity * subMod256(feeGrowthInside1, BigInt(position.feeGrowthInside1LastX128.toString())) / Q128;
+
+  const format = (raw, token) => Number(ethers.utils.formatUnits(raw.toString(), token.decimals));
+  const amount0 = format(sdkPosition.amount0.quotient, token0);
+  const amount1 = format(sdkPosition.amount1.quotient, token1);
+  const feeAmount0 = format(fees0, token0);
+  const feeAmount1 = format(fees1, token1);
+
+  // Holding the net deposited tokens instead of providing liquidity
+  const held0 = format(flows.deposited0 - flows.withdrawn0, token0);
+  const held1 = format(flows.deposited1 - flows.withdrawn1, token1);
+
+  const [pricing0, pricing1] = await Promise.all([
+    pricer.getPrice(token0.address).catch(() => null),
+    pricer.getPrice(token1.address).catch(() => null)
+  ]);
+  const usd0 = pricing0 ? pricing0.priceUSD : null;
+  const usd1 = pricing1 ? pricing1.priceUSD : null;
+  const priced = usd0 !== null && usd1 !== null;
+
+  // Value both sides in token1 so impermanent loss is available even without USD prices
+  const price0In1 = Number(sdkPool.token0Price.toSignificant(18));
+  const positionValue1 = amount0 * price0In1 + amount1;
+  const holdValue1 = held0 * price0In1 + held1;
+  const impermanentLoss = holdValue1 > 0 ? (positionValue1 / holdValue1 - 1) * 100 : null;
+
+  const inRange = slot0.tick >= position.tickLower && slot0.tick < position.tickUpper;
+
+  return {
+    chainId,
+    tokenId,
+    owner,
+    poolAddress,
+    token0: { address: token0.address, symbol: token0.symbol, decimals: token0.decimals },
+    token1: { address: token1.address, symbol: token1.symbol, decimals: token1.decimals },
+    fee: position.fee,
+    tickLower: position.tickLower,
+    tickUpper: position.tickUpper,
+    tickCurrent: slot0.tick,
+    priceLower: tickToPrice(token0, token1, position.tickLower).toSignificant(8),
+    priceUpper: tickToPrice(token0, token1, position.tickUpper).toSignificant(8),
+    priceCurrent: sdkPool.token0Price.toSignificant(8),
+    inRange,
+    liquidity: position.liquidity.toString(),
+    amounts: { token0: amount0, token1: amount1 },
+    uncollectedFees: { token0: feeAmount0, token1: feeAmount1 },
+    deposited: {
+      token0: format(flows.deposited0, token0),
+      token1: format(flows.deposited1, token1)
+    },
+    withdrawn: {
+      token0: format(flows.withdrawn0, token0),
+      token1: format(flows.withdrawn1, token1)
+    },
+    impermanentLoss: {
+      percent: impermanentLoss,
+      positionValueInToken1: positionValue1,
+      holdValueInToken1: holdValue1
+    },
+    valueUSD: priced ? {
+      position: amount0 * usd0 + amount1 * usd1,
+      uncollectedFees: feeAmount0 * usd0 + feeAmount1 * usd1,
+      hold: held0 * usd0 + held1 * usd1,
+      total: (amount0 + feeAmount0) * usd0 + (amount1 + feeAmount1) * usd1
+    } : null
+  };
+}
+
+/**
+ * Analyze every V3 position NFT owned by an address
+ * @param {Object} params - Parameters for the analysis
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.owner - Owner address
+ * @param {boolean} [params.includeClosed=false] - Include positions with zero liquidity and no fees
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @returns {Promise<Object>} Owner, positions and USD totals
+ */
+async function analyzePositionsByOwner(params) {
+  const { chainId, includeClosed = false } = params;
+  const config = getChainConfig(chainId);
+  if (!config.positionManager) {
+    throw new Error(`No NonfungiblePositionManager configured for ${config.name}`);
+  }
+  const owner = ethers.utils.getAddress(params.owner);
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const pricer = createUSDPricer(chainId, provider);
+
+  const positionManager = new ethers.Contract(config.positionManager, POSITION_MANAGER_ABI, provider);
+  const count = (await positionManager.balanceOf(owner)).toNumber();
+  const tokenIds = await Promise.all(
+    Array.from({ length: count }, (_, i) => positionManager.tokenOfOwnerByIndex(owner, i))
+  );
+
+  const positions = [];
+  for (const tokenId of tokenIds) {
+    const position = await analyzePosition({ chainId, tokenId, provider, pricer });
+    const closed = position.liquidity === "0" &&
+      position.uncollectedFees.token0 === 0 && position.uncollectedFees.token1 === 0;
+    if (includeClosed || !closed) positions.push(position);
+  }
+
+  const totals = positions.reduce((sum, p) => ({
+    positionUSD: sum.positionUSD + (p.valueUSD ? p.valueUSD.position : 0),
+    uncollectedFeesUSD: sum.uncollectedFeesUSD + (p.valueUSD ? p.valueUSD.uncollectedFees : 0)
+  }), { positionUSD: 0, uncollectedFeesUSD: 0 });
+
+  return { chainId, owner, count, positions, totals };
+}
+
+module.exports = {
+  analyzePosition,
+  analyzePositionsByOwner,
+  getFeeGrowthInside
+};
@@ -1,6 +1,9 @@
 const Redis = require('redis');
 const Bull = require('bull');
-const { getPriceForPair } = require('./tokenUtils');
+const { getPriceForPair, getPriceLadder, ladderSizes } = require('./tokenUtils');
+const { getPoolTwap } = require('./twap');
+const { getChainContext, getChainContextRegistry } = require('./chainContext');
+const { parseQuoteOptions, quoteOptionsKey } = require('./quoteOptions');
 
 class PriceFeedProvider {
   constructor(options = {}) {
@@ -53,11 +56,12 @@ class PriceFeedProvider {
   }
 
   /**
-   * Main entry point - Get price with caching
+   * Main entry point - Get price with caching; quote options (see quoteOptions.js) are validated first
    */
-  async getPrice(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType = 'exactIn') {
+  async getPrice(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType = 'exactIn', options = {}) {
     const startTime = Date.now();
-    const cacheKey = this.generateCacheKey(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType);
+    options = parseQuoteOptions(options);
+    const cacheKey = this.generateCacheKey(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType, options);
     
     try {
       // Try cache first
@@ -71,7 +75,7 @@ class PriceFeedProvider {
       // Cache miss or expired - check if we can serve stale
       if (cached && this.canServeStale(cached)) {
         // Serve stale data while triggering background refresh
-        this.queuePriceUpdate(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType, 'background');
+        this.queuePriceUpdate(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType, 'background', options);
         this.metrics.cacheHits++; // Count as hit since we served data
         this.recordResponseTime(Date.now() - startTime);
         return { ...cached.data, _stale: true };
@@ -79,7 +83,7 @@ class PriceFeedProvider {
 
       // No cache or too stale - fetch synchronously
       this.metrics.cacheMisses++;
-      const price = await this.fetchPrice(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType);
+      const price = await this.fetchPrice(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType, options);
       
       // Cache the result
       await this.setCache(cacheKey, price, this.getTierForPair(chainName, tokenInSymbol, tokenOutSymbol));
@@ -101,10 +105,73 @@ class PriceFeedProvider {
   }
 
   /**
-   * Generate consistent cache key
+   * Get a pool's oracle TWAP with caching - a manipulation-resistant alternative to spot quotes
    */
-  generateCacheKey(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType) {
-    return `price:${chainName}:${tokenInSymbol}:${tokenOutSymbol}:${amount}:${tradeType}`.toLowerCase();
+  async getTwap(chainId, poolAddress, window = '30m') {
+    const startTime = Date.now();
+    const cacheKey = `twap:${chainId}:${poolAddress}:${window}`.toLowerCase();
+
+    const cached = await this.getFromCache(cacheKey);
+    if (cached && !this.isExpired(cached)) {
+      this.metrics.cacheHits++;
+      this.recordResponseTime(Date.now() - startTime);
+      return cached.data;
+    }
+
+    try {
+      this.metrics.cacheMisses++;
+      const twap = await getPoolTwap({ chainId, poolAddress, windows: [window], provider: getChainContext(chainId).provider });
+      await this.setCache(cacheKey, twap, 'TIER_2');
+      this.recordResponseTime(Date.now() - startTime);
+      return twap;
+    } catch (error) {
+      this.metrics.errors++;
+      if (cached) {
+        return { ...cached.data, _error: error.message, _veryStale: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a price impact ladder with caching; a ladder quotes every size, so it is cached like a TIER_2 pair
+   */
+  async getLadder(params) {
+    const startTime = Date.now();
+    const { chainName, tokenInSymbol, tokenOutSymbol, tradeType = 'exactIn', sizeUnit = 'token' } = params;
+    // Validates sizes or range before they are used in the key; equal ladders share an entry
+    const sizes = ladderSizes(params).join(',');
+    const thresholds = (params.impactThresholds || []).join(',');
+    const options = parseQuoteOptions(params.options);
+    const cacheKey = `ladder:${chainName}:${tokenInSymbol}:${tokenOutSymbol}:${tradeType}:${sizeUnit}:${sizes}:${thresholds}:${quoteOptionsKey(options)}`.toLowerCase();
+
+    const cached = await this.getFromCache(cacheKey);
+    if (cached && !this.isExpired(cached)) {
+      this.metrics.cacheHits++;
+      this.recordResponseTime(Date.now() - startTime);
+      return cached.data;
+    }
+
+    try {
+      this.metrics.cacheMisses++;
+      const ladder = await getPriceLadder({ ...params, options });
+      await this.setCache(cacheKey, ladder, 'TIER_2');
+      this.recordResponseTime(Date.now() - startTime);
+      return ladder;
+    } catch (error) {
+      this.metrics.errors++;
+      if (cached && this.canServeStale(cached)) {
+        return { ...cached.data, _error: error.message, _veryStale: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generate consistent cache key; quotes with different options are cached apart
+   */
+  generateCacheKey(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType, options = parseQuoteOptions()) {
+    return `price:${chainName}:${tokenInSymbol}:${tokenOutSymbol}:${amount}:${tradeType}:${quoteOptionsKey(options)}`.toLowerCase();
   }
 
   /**
@@ -172,26 +239,28 @@ class PriceFeedProvider {
   /**
    * Fetch price from blockchain (wrapper around existing function)
    */
-  async fetchPrice(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType) {
+  async fetchPrice(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType, options) {
     return await getPriceForPair({
       chainName,
       tokenInSymbol,
       tokenOutSymbol,
       amount,
-      tradeType
+      tradeType,
+      options
     });
   }
 
   /**
    * Queue background price update
    */
-  async queuePriceUpdate(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType, priority = 'normal') {
+  async queuePriceUpdate(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType, priority = 'normal', quoteOptions = {}) {
     const jobData = {
       chainName,
       tokenInSymbol,
       tokenOutSymbol,
       amount,
       tradeType,
+      options: parseQuoteOptions(quoteOptions),
       timestamp: Date.now()
     };
 
@@ -211,10 +280,11 @@ class PriceFeedProvider {
     // Main price fetching worker
     this.priceQueue.process('fetch-price', 10, async (job) => {
       const { chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType } = job.data;
+      const options = parseQuoteOptions(job.data.options);
       
       try {
-        const price = await this.fetchPrice(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType);
-        const cacheKey = this.generateCacheKey(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType);
+        const price = await this.fetchPrice(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType, options);
+        const cacheKey = this.generateCacheKey(chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType, options);
         const tier = this.getTierForPair(chainName, tokenInSymbol, tokenOutSymbol);
         
         await this.setCache(cacheKey, price, tier);
@@ -292,10 +362,25 @@ class PriceFeedProvider {
         waiting: await this.priceQueue.getWaiting(),
         completed: await this.priceQueue.getCompleted(),
         failed: await this.priceQueue.getFailed()
-      }
+      },
+      chainContexts: getChainContextRegistry().getStats()
     };
   }
 
+  /**
+   * Check the shared provider of one chain, or of every chain quoted so far
+   */
+  async getChainHealth(chainId) {
+    return getChainContextRegistry().health(chainId);
+  }
+
+  /**
+   * Drop the shared provider and router of one chain, or of every chain, so they are rebuilt on the next quote
+   */
+  resetChainContext(chainId) {
+    return getChainContextRegistry().reset(chainId);
+  }
+
   /**
    * Record response time for metrics
    */
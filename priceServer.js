@@ -1,6 +1,15 @@
 const express = require('express');
 const cors = require('cors');
 const PriceFeedProvider = require('./priceCache');
+const { parseQuoteOptions } = require('./quoteOptions');
+
+// Query parameters and body fields taken as quote options
+const QUOTE_OPTION_FIELDS = ['slippageTolerance', 'deadline', 'protocols', 'maxHops', 'maxSplits', 'recipient'];
+
+// Quote options given in a request, without those left out
+function pickQuoteOptions(source = {}) {
+  return Object.fromEntries(QUOTE_OPTION_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+}
 
 class PriceServer {
   constructor(options = {}) {
@@ -43,18 +52,49 @@ class PriceServer {
       res.json({ status: 'healthy', timestamp: new Date().toISOString() });
     });
 
+    // RPC health of the shared per-chain providers
+    this.app.get('/health/chains', async (req, res) => {
+      try {
+        const chainId = req.query.chainId !== undefined ? parseInt(req.query.chainId) : undefined;
+        const chains = await this.priceFeed.getChainHealth(chainId);
+        res.status(chains.every(chain => chain.healthy) ? 200 : 503).json({
+          success: true,
+          data: chains,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
     // Get price for a token pair
     this.app.get('/price/:chainName/:tokenIn/:tokenOut', async (req, res) => {
       try {
         const { chainName, tokenIn, tokenOut } = req.params;
         const { amount = '1000', tradeType = 'exactIn' } = req.query;
 
+        let options;
+        try {
+          options = parseQuoteOptions(pickQuoteOptions(req.query));
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+          });
+        }
+
         const price = await this.priceFeed.getPrice(
           chainName, 
           tokenIn, 
           tokenOut, 
           amount, 
-          tradeType
+          tradeType,
+          options
         );
 
         // Add metadata
@@ -89,6 +129,87 @@ class PriceServer {
       }
     });
 
+    // Price impact ladder: quotes at a list (?sizes=100,1000) or geometric range (?from=100&to=1000000&steps=10) of sizes
+    this.app.get('/ladder/:chainName/:tokenIn/:tokenOut', async (req, res) => {
+      try {
+        const { chainName, tokenIn, tokenOut } = req.params;
+        const { sizes, from, to, steps, unit = 'token', thresholds, tradeType = 'exactIn' } = req.query;
+
+        if (!sizes && (from === undefined || to === undefined)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Pass sizes (comma-separated) or from and to',
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        let options;
+        try {
+          options = parseQuoteOptions(pickQuoteOptions(req.query));
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const ladder = await this.priceFeed.getLadder({
+          chainName,
+          tokenInSymbol: tokenIn,
+          tokenOutSymbol: tokenOut,
+          tradeType,
+          sizeUnit: unit,
+          sizes: sizes ? sizes.split(',') : undefined,
+          range: sizes ? undefined : { from, to, steps: steps !== undefined ? parseInt(steps) : undefined },
+          impactThresholds: thresholds ? thresholds.split(',').map(Number) : undefined,
+          options
+        });
+
+        res.json({
+          success: true,
+          data: ladder,
+          metadata: {
+            veryStale: !!ladder._veryStale,
+            error: ladder._error || null,
+            timestamp: new Date().toISOString()
+          }
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Get oracle TWAP for a pool
+    this.app.get('/twap/:chainId/:poolAddress', async (req, res) => {
+      try {
+        const { chainId, poolAddress } = req.params;
+        const { window = '30m' } = req.query;
+
+        const twap = await this.priceFeed.getTwap(parseInt(chainId), poolAddress, window);
+
+        res.json({
+          success: true,
+          data: twap,
+          metadata: {
+            veryStale: !!twap._veryStale,
+            error: twap._error || null,
+            timestamp: new Date().toISOString()
+          }
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
     // Batch price endpoint
     this.app.post('/prices', async (req, res) => {
       try {
@@ -103,8 +224,8 @@ class PriceServer {
 
         const results = await Promise.allSettled(
           pairs.map(async (pair) => {
-            const { chainName, tokenIn, tokenOut, amount = '1000', tradeType = 'exactIn' } = pair;
-            const price = await this.priceFeed.getPrice(chainName, tokenIn, tokenOut, amount, tradeType);
+            const { chainName, tokenIn, tokenOut, amount = '1000', tradeType = 'exactIn', options = {} } = pair;
+            const price = await this.priceFeed.getPrice(chainName, tokenIn, tokenOut, amount, tradeType, options);
             return { pair, price };
           })
         );
@@ -177,12 +298,32 @@ class PriceServer {
       }
     });
 
+    // Rebuild a chain's provider and router, e.g. after switching its RPC (admin endpoint)
+    this.app.post('/admin/chains/:chainId/reset', (req, res) => {
+      try {
+        const resetChains = this.priceFeed.resetChainContext(parseInt(req.params.chainId));
+        res.json({
+          success: true,
+          message: resetChains.length > 0
+            ? `Reset chain context of chain ${req.params.chainId}`
+            : `Chain ${req.params.chainId} had no chain context to reset`,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
     // Force refresh a specific pair
     this.app.post('/admin/refresh', async (req, res) => {
       try {
-        const { chainName, tokenIn, tokenOut, amount = '1000', tradeType = 'exactIn' } = req.body;
+        const { chainName, tokenIn, tokenOut, amount = '1000', tradeType = 'exactIn', options = {} } = req.body;
         
-        await this.priceFeed.queuePriceUpdate(chainName, tokenIn, tokenOut, amount, tradeType, 'high');
+        await this.priceFeed.queuePriceUpdate(chainName, tokenIn, tokenOut, amount, tradeType, 'high', options);
         
         res.json({
           success: true,
@@ -0,0 +1,115 @@
+const { ethers } = require("ethers");
+const { z } = require("zod");
+const { Percent } = require("@uniswap/sdk-core");
+// TO_PROTOCOL returns the Protocol enum of the router-sdk copy the router itself was built against
+const { SwapType, TO_PROTOCOL } = require("@uniswap/smart-order-router");
+
+const PROTOCOLS = ["V2", "V3", "V4", "MIXED"];
+
+// Options of every quote; numbers may be given as strings, as they arrive from query strings
+const QuoteOptionsSchema = z.object({
+  slippageTolerance: z.coerce.number().min(0).max(50).default(0.5)
+    .describe("Slippage tolerance in percent, to the basis point"),
+  deadline: z.coerce.number().int().min(1).max(24 * 60).default(20)
+    .describe("Minutes until the swap expires"),
+  protocols: z.preprocess(
+    value => (typeof value === "string" ? value.split(",") : value),
+    z.array(z.preprocess(
+      value => (typeof value === "string" ? value.trim().toUpperCase() : value),
+      z.enum(PROTOCOLS)
+    )).min(1).optional()
+  ).describe("Protocols routes may use: V2, V3, V4 and/or MIXED (default: the router's)"),
+  maxHops: z.coerce.number().int().min(1).max(6).optional()
+    .describe("Maximum pools in one route (default: the router's, 3)"),
+  maxSplits: z.coerce.number().int().min(1).max(7).optional()
+    .describe("Maximum routes a trade is split over (default: the router's, 7)"),
+  recipient: z.string()
+    .refine(ethers.utils.isAddress, "Invalid address or checksum")
+    .transform(address => ethers.utils.getAddress(address))
+    .default(ethers.constants.AddressZero)
+    .describe("Recipient of the swap output")
+}).strict();
+
+/**
+ * Validate quote options and fill in the defaults
+ * @param {Object} [options] - slippageTolerance, deadline, protocols, maxHops, maxSplits and recipient
+ * @returns {Object} The options with defaults; protocols are upper case, deduplicated and sorted
+ */
+function parseQuoteOptions(options = {}) {
+  const result = QuoteOptionsSchema.safeParse(options || {});
+  if (!result.success) {
+    const issues = result.error.issues
+      .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('; ');
+    throw new Error(`Invalid quote options: ${issues}`);
+  }
+  const parsed = result.data;
+  if (parsed.protocols) {
+    parsed.protocols = [...new Set(parsed.protocols)].sort((a, b) => PROTOCOLS.indexOf(a) - PROTOCOLS.indexOf(b));
+  }
+  return parsed;
+}
+
+/**
+ * Slippage tolerance of parsed options as a Percent
+ * @param {Object} options - Parsed quote options
+ * @returns {Percent} Slippage tolerance
+ */
+function slippagePercent(options) {
+  return new Percent(Math.round(options.slippageTolerance * 100), 10000);
+}
+
+/**
+ * Swap and routing config for router.route from parsed options
+ * @param {Object} options - Parsed quote options
+ * @returns {Object} swapOptions (4th argument) and routingConfig (5th argument, only the options that were set)
+ */
+function toRouterArgs(options) {
+  const routingConfig = {};
+  if (options.protocols) {
+    routingConfig.protocols = options.protocols.map(name => {
+      try {
+        return TO_PROTOCOL(name);
+      } catch (error) {
+        throw new Error(`${name} routes are not supported by the installed smart order router`);
+      }
+    });
+  }
+  if (options.maxHops !== undefined) routingConfig.maxSwapsPerPath = options.maxHops;
+  if (options.maxSplits !== undefined) routingConfig.maxSplits = options.maxSplits;
+
+  return {
+    swapOptions: {
+      recipient: options.recipient,
+      slippageTolerance: slippagePercent(options),
+      deadline: Math.floor(Date.now() / 1000) + options.deadline * 60,
+      type: SwapType.SWAP_ROUTER_02
+    },
+    routingConfig
+  };
+}
+
+/**
+ * Cache key part for parsed options, so results with different options are cached apart
+ * @param {Object} options - Parsed quote options
+ * @returns {string} Key part
+ */
+function quoteOptionsKey(options) {
+  return [
+    `slip=${options.slippageTolerance}`,
+    `dl=${options.deadline}`,
+    `proto=${options.protocols ? options.protocols.join('+') : 'default'}`,
+    `hops=${options.maxHops !== undefined ? options.maxHops : 'default'}`,
+    `splits=${options.maxSplits !== undefined ? options.maxSplits : 'default'}`,
+    `to=${options.recipient}`
+  ].join(',');
+}
+
+module.exports = {
+  QuoteOptionsSchema,
+  parseQuoteOptions,
+  slippagePercent,
+  toRouterArgs,
+  quoteOptionsKey,
+  PROTOCOLS
+};
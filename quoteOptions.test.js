@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseQuoteOptions, slippagePercent, toRouterArgs, quoteOptionsKey } = require('./quoteOptions');
+
+const RECIPIENT = "0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045";
+
+test('parseQuoteOptions fills in defaults', () => {
+  assert.deepEqual(parseQuoteOptions(), {
+    slippageTolerance: 0.5,
+    deadline: 20,
+    recipient: "0x0000000000000000000000000000000000000000"
+  });
+  assert.deepEqual(parseQuoteOptions(null), parseQuoteOptions({}));
+});
+
+test('parseQuoteOptions coerces query strings and normalizes protocols', () => {
+  const options = parseQuoteOptions({ slippageTolerance: "1.25", deadline: "5", protocols: " mixed, v3,V3", maxHops: "2", recipient: RECIPIENT.toLowerCase() });
+  assert.equal(options.slippageTolerance, 1.25);
+  assert.equal(options.deadline, 5);
+  assert.deepEqual(options.protocols, ["V3", "MIXED"]);
+  assert.equal(options.maxHops, 2);
+  assert.equal(options.recipient, RECIPIENT);
+  assert.equal(slippagePercent(options).toFixed(2), "1.25");
+});
+
+test('parseQuoteOptions enforces bounds', () => {
+  assert.equal(parseQuoteOptions({ slippageTolerance: 0, deadline: 1440, maxHops: 6, maxSplits: 7 }).maxSplits, 7);
+  assert.throws(() => parseQuoteOptions({ slippageTolerance: 50.01 }), /Invalid quote options: slippageTolerance:/);
+  assert.throws(() => parseQuoteOptions({ slippageTolerance: -1 }), /slippageTolerance/);
+  assert.throws(() => parseQuoteOptions({ deadline: 0 }), /deadline/);
+  assert.throws(() => parseQuoteOptions({ deadline: 1441 }), /deadline/);
+  assert.throws(() => parseQuoteOptions({ deadline: 1.5 }), /deadline/);
+  assert.throws(() => parseQuoteOptions({ maxHops: 7 }), /maxHops/);
+  assert.throws(() => parseQuoteOptions({ maxSplits: 0 }), /maxSplits/);
+  assert.throws(() => parseQuoteOptions({ protocols: [] }), /protocols/);
+  assert.throws(() => parseQuoteOptions({ protocols: "v1" }), /protocols\.0/);
+  assert.throws(() => parseQuoteOptions({ recipient: "0x1234" }), /recipient: Invalid address or checksum/);
+  assert.throws(() => parseQuoteOptions({ slippage: 1 }), /Unrecognized key/);
+});
+
+test('quoteOptionsKey is the same for equivalent options', () => {
+  const key = quoteOptionsKey(parseQuoteOptions({ protocols: "V3,MIXED", slippageTolerance: "0.5" }));
+  assert.equal(key, quoteOptionsKey(parseQuoteOptions({ protocols: ["mixed", "v3", "V3"] })));
+  assert.equal(key, "slip=0.5,dl=20,proto=V3+MIXED,hops=default,splits=default,to=0x0000000000000000000000000000000000000000");
+  assert.notEqual(key, quoteOptionsKey(parseQuoteOptions({ protocols: "V3" })));
+  assert.notEqual(quoteOptionsKey(parseQuoteOptions()), quoteOptionsKey(parseQuoteOptions({ maxHops: 3 })));
+});
+
+test('toRouterArgs only sets the routing options that were given', () => {
+  assert.deepEqual(toRouterArgs(parseQuoteOptions()).routingConfig, {});
+  const { swapOptions, routingConfig } = toRouterArgs(parseQuoteOptions({ protocols: "v2,v3", maxHops: 2, maxSplits: 1, recipient: RECIPIENT }));
+  assert.deepEqual(routingConfig, { protocols: ["V2", "V3"], maxSwapsPerPath: 2, maxSplits: 1 });
+  assert.equal(swapOptions.recipient, RECIPIENT);
+  assert.ok(swapOptions.deadline > Date.now() / 1000);
+});
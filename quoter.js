@@ -0,0 +1,231 @@
+const { ethers } = require("ethers");
+const { Fraction, Percent } = require("@uniswap/sdk-core");
+
+// Import chain configurations and token registry
+const CHAIN_CONFIGS = require('./chainConfigs');
+const { getTokenRegistry } = require('./tokenRegistry');
+const { resolveToken } = require('./tokenResolver');
+const { sqrtPriceX96ToPrice, invertPrice } = require('./poolMath');
+
+// Uniswap V3 fee tiers direct quotes look for pools in
+const QUOTE_FEE_TIERS = [100, 500, 3000, 10000];
+
+// Intermediate tokens of two-hop paths besides the wrapped native token (symbols from the token lists)
+const QUOTE_BASES = ["USDC", "USDT", "DAI", "WBTC"];
+
+// Seconds a missing pool is remembered before the factory is asked again; pools that exist are kept
+const POOL_MISS_TTL = 600;
+
+const QUOTER_ABI = [
+  "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)",
+  "function quoteExactInput(bytes path, uint256 amountIn) returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)",
+  "function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)",
+  "function quoteExactOutput(bytes path, uint256 amountOut) returns (uint256 amountIn, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)"
+];
+const FACTORY_ABI = [
+  "function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)"
+];
+const POOL_ABI = [
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)"
+];
+
+// "chainId:token0:token1:fee" -> { address, expires } (expires is null for pools that exist)
+const poolLookups = new Map();
+
+/**
+ * Encode a V3 swap path: token, fee, token, fee, ..., token
+ * @param {Array<string>} tokens - Token addresses in swap order
+ * @param {Array<number>} fees - Fee tier of each hop
+ * @returns {string} Packed path
+ */
+function encodePath(tokens, fees) {
+  if (tokens.length !== fees.length + 1) {
+    throw new Error(`A path with ${fees.length} fees needs ${fees.length + 1} tokens, got ${tokens.length}`);
+  }
+  const types = [];
+  const values = [];
+  tokens.forEach((token, index) => {
+    types.push("address");
+    values.push(token);
+    if (index < fees.length) {
+      types.push("uint24");
+      values.push(fees[index]);
+    }
+  });
+  return ethers.utils.solidityPack(types, values);
+}
+
+// Pool address of a pair and fee tier, or null when the factory has none
+async function getPoolAddress(chainId, factory, tokenA, tokenB, fee) {
+  const [token0, token1] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+  const key = `${chainId}:${token0}:${token1}:${fee}`;
+  const cached = poolLookups.get(key);
+  if (cached && (cached.expires === null || cached.expires > Date.now())) {
+    return cached.address;
+  }
+
+  const pool = await factory.getPool(token0, token1, fee).catch(() => ethers.constants.AddressZero);
+  const address = pool === ethers.constants.AddressZero ? null : pool;
+  poolLookups.set(key, { address, expires: address ? null : Date.now() + POOL_MISS_TTL * 1000 });
+  return address;
+}
+
+/**
+ * Swap paths between two tokens through existing V3 pools: one hop in every
+ * fee tier, and two hops through each base token
+ * @param {Object} params - Path search parameters
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenIn - Input token address
+ * @param {string} params.tokenOut - Output token address
+ * @param {ethers.providers.Provider} params.provider - Ethers provider for the chain
+ * @param {Array<string>} [params.baseTokens] - Intermediate tokens (symbols or addresses; default: the wrapped native token and QUOTE_BASES)
+ * @param {Array<number>} [params.feeTiers=[100, 500, 3000, 10000]] - Fee tiers to use
+ * @param {number} [params.maxHops=2] - 1 for direct pools only, 2 to also route through a base token
+ * @returns {Promise<Array<Object>>} Paths with tokens, fees and pools, in swap order
+ */
+async function findQuotePaths(params) {
+  const { chainId, tokenIn, tokenOut, provider, feeTiers = QUOTE_FEE_TIERS, maxHops = 2 } = params;
+  const config = CHAIN_CONFIGS[chainId];
+  if (!config) {
+    throw new Error(`Chain configuration not found for chainId ${chainId}`);
+  }
+  if (![1, 2].includes(maxHops)) {
+    throw new Error(`maxHops must be 1 or 2, got ${maxHops}`);
+  }
+
+  const factory = new ethers.Contract(config.poolFactory, FACTORY_ABI, provider);
+  const pools = (tokenA, tokenB) => Promise.all(feeTiers.map(async fee => ({
+    fee,
+    address: await getPoolAddress(chainId, factory, tokenA, tokenB, fee)
+  }))).then(found => found.filter(pool => pool.address));
+
+  const paths = (await pools(tokenIn, tokenOut)).map(pool => ({
+    tokens: [tokenIn, tokenOut],
+    fees: [pool.fee],
+    pools: [pool.address]
+  }));
+  if (maxHops === 1) return paths;
+
+  const listed = getTokenRegistry().getTokenAddresses(chainId);
+  const baseAddresses = params.baseTokens
+    ? params.baseTokens.map(base => resolveToken(base, { chainId }).address)
+    : [config.weth, ...QUOTE_BASES.filter(symbol => listed[symbol]).map(symbol => listed[symbol])];
+  const ends = [tokenIn.toLowerCase(), tokenOut.toLowerCase()];
+  const bases = [...new Set(baseAddresses.map(address => ethers.utils.getAddress(address)))]
+    .filter(base => !ends.includes(base.toLowerCase()));
+
+  const legs = await Promise.all(bases.map(base => Promise.all([pools(tokenIn, base), pools(base, tokenOut)])));
+  bases.forEach((base, index) => {
+    const [firstLegs, secondLegs] = legs[index];
+    for (const first of firstLegs) {
+      for (const second of secondLegs) {
+        paths.push({
+          tokens: [tokenIn, base, tokenOut],
+          fees: [first.fee, second.fee],
+          pools: [first.address, second.address]
+        });
+      }
+    }
+  });
+  return paths;
+}
+
+// Quote one path with QuoterV2; paths are encoded output first for exact output quotes
+async function quotePath(quoter, path, amount, exactIn) {
+  const [tokenIn, tokenOut] = [path.tokens[0], path.tokens[path.tokens.length - 1]];
+  if (path.fees.length === 1) {
+    const result = exactIn
+      ? await quoter.callStatic.quoteExactInputSingle({ tokenIn, tokenOut, amountIn: amount, fee: path.fees[0], sqrtPriceLimitX96: 0 })
+      : await quoter.callStatic.quoteExactOutputSingle({ tokenIn, tokenOut, amount, fee: path.fees[0], sqrtPriceLimitX96: 0 });
+    return {
+      amountIn: exactIn ? ethers.BigNumber.from(amount) : result.amountIn,
+      amountOut: exactIn ? result.amountOut : ethers.BigNumber.from(amount),
+      gasEstimate: result.gasEstimate
+    };
+  }
+
+  const result = exactIn
+    ? await quoter.callStatic.quoteExactInput(encodePath(path.tokens, path.fees), amount)
+    : await quoter.callStatic.quoteExactOutput(encodePath([...path.tokens].reverse(), [...path.fees].reverse()), amount);
+  return {
+    amountIn: exactIn ? ethers.BigNumber.from(amount) : result.amountIn,
+    amountOut: exactIn ? result.amountOut : ethers.BigNumber.from(amount),
+    gasEstimate: result.gasEstimate
+  };
+}
+
+// Price of a path's input in its output, in raw units, from the pools' current prices
+async function getPathMidPrice(path, provider) {
+  const slots = await Promise.all(path.pools.map(pool => new ethers.Contract(pool, POOL_ABI, provider).slot0()));
+  return slots.reduce((price, slot0, index) => {
+    const tokenInIs0 = path.tokens[index].toLowerCase() < path.tokens[index + 1].toLowerCase();
+    const token0Price = sqrtPriceX96ToPrice(slot0.sqrtPriceX96, 0, 0);
+    const hopPrice = tokenInIs0 ? token0Price : invertPrice(token0Price);
+    return hopPrice ? price.multiply(hopPrice) : price;
+  }, new Fraction(1));
+}
+
+/**
+ * Quote a swap with QuoterV2 over explicit V3 paths instead of the smart
+ * order router. Every path from findQuotePaths is quoted and the best one is
+ * kept: the largest output for exact input, the smallest input for exact output.
+ * @param {Object} params - Quote parameters
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenIn - Input token address
+ * @param {string} params.tokenOut - Output token address
+ * @param {string} params.amount - Raw amount of tokenIn for "exactIn", of tokenOut for "exactOut"
+ * @param {string} [params.tradeType="exactIn"] - Trade type: "exactIn" or "exactOut"
+ * @param {ethers.providers.Provider} params.provider - Ethers provider for the chain
+ * @param {Array<string>} [params.baseTokens] - Intermediate tokens, as for findQuotePaths
+ * @param {Array<number>} [params.feeTiers] - Fee tiers, as for findQuotePaths
+ * @param {number} [params.maxHops=2] - Maximum pools in a path, as for findQuotePaths
+ * @returns {Promise<Object>} path (tokens, fees, pools), amountIn, amountOut and gasEstimate (BigNumbers),
+ *   priceImpact (Percent, including the pool fees) and pathsQuoted
+ */
+async function quoteDirect(params) {
+  const { chainId, tokenIn, tokenOut, amount, tradeType = "exactIn", provider } = params;
+  const config = CHAIN_CONFIGS[chainId];
+  if (!config || !config.quoterV2) {
+    throw new Error(`No QuoterV2 configured for chainId ${chainId}`);
+  }
+  const exactIn = tradeType === "exactIn";
+
+  const paths = await findQuotePaths(params);
+  if (paths.length === 0) {
+    throw new Error(`No V3 pools connect ${tokenIn} and ${tokenOut} on ${config.name}`);
+  }
+
+  const quoter = new ethers.Contract(config.quoterV2, QUOTER_ABI, provider);
+  const results = await Promise.allSettled(paths.map(path => quotePath(quoter, path, amount, exactIn)));
+
+  let best = null;
+  results.forEach((result, index) => {
+    if (result.status !== "fulfilled") return;
+    const quote = { path: paths[index], ...result.value };
+    if (!best || (exactIn ? quote.amountOut.gt(best.amountOut) : quote.amountIn.lt(best.amountIn))) {
+      best = quote;
+    }
+  });
+  if (!best) {
+    throw new Error(`All ${paths.length} quote paths between ${tokenIn} and ${tokenOut} on ${config.name} reverted: ${results[0].reason.message}`);
+  }
+
+  // Output at the pools' current prices minus the quoted output, as a share of the former
+  const midPrice = await getPathMidPrice(best.path, provider);
+  const expectedOut = midPrice.multiply(best.amountIn.toString());
+  const impact = expectedOut.subtract(best.amountOut.toString()).divide(expectedOut);
+
+  return {
+    ...best,
+    priceImpact: new Percent(impact.numerator, impact.denominator),
+    pathsQuoted: paths.length
+  };
+}
+
+module.exports = {
+  quoteDirect,
+  findQuotePaths,
+  encodePath,
+  QUOTE_FEE_TIERS,
+  QUOTE_BASES
+};
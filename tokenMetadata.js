@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require("ethers");
+
+const { getTokenRegistry } = require('./tokenRegistry');
+
+const DEFAULT_DATA_DIR = process.env.TOKEN_CACHE_DIR || path.join(__dirname, 'data', 'tokens');
+const CACHE_VERSION = 1;
+
+// Token list tags that set the behaviour flags
+const FEE_ON_TRANSFER_TAG = "fee-on-transfer";
+const REBASING_TAG = "rebasing";
+
+const METADATA_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function name() view returns (string)"
+];
+const metadataInterface = new ethers.utils.Interface(METADATA_ABI);
+
+/**
+ * Decode the return data of symbol() or name(), which is a string for most
+ * tokens and a null-padded bytes32 for some older ones such as MKR
+ * @param {string} data - Raw return data
+ * @returns {string|null} Decoded text, or null when it is empty or not text
+ */
+function decodeText(data) {
+  if (!data || data === "0x") return null;
+  try {
+    const [text] = ethers.utils.defaultAbiCoder.decode(["string"], data);
+    return text.replace(/\0/g, "").trim() || null;
+  } catch (error) {
+    if (ethers.utils.hexDataLength(data) !== 32) return null;
+    const bytes = ethers.utils.arrayify(data);
+    const end = bytes.indexOf(0);
+    try {
+      return ethers.utils.toUtf8String(end === -1 ? bytes : bytes.slice(0, end)).trim() || null;
+    } catch (utf8Error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Call a token's view method, telling a revert apart from a failed request.
+ * JSON-RPC providers return the revert data of a reverting call, or throw
+ * CALL_EXCEPTION when it has none; anything else is a network or server error.
+ * @param {ethers.providers.Provider} provider - Ethers provider for the chain
+ * @param {Object} transaction - Call to make
+ * @returns {Promise<string|null>} Return data, or null when the call reverted without data
+ */
+async function callOrRevert(provider, transaction) {
+  try {
+    return await provider.call(transaction);
+  } catch (error) {
+    if (error.code === ethers.errors.CALL_EXCEPTION) return null;
+    throw error;
+  }
+}
+
+/**
+ * Decimals, symbol, name and behaviour flags of tokens, keyed by chain and
+ * address. Tokens in the token lists are answered from the lists; others are
+ * read on-chain once and, with a data directory, kept in a JSON file per chain.
+ */
+class TokenMetadataCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {string|null} [options.dataDir] - Directory for cache files (default: data/tokens or TOKEN_CACHE_DIR);
+   *   null keeps the cache in memory only
+   * @param {TokenRegistry} [options.registry] - Token lists to answer from (default: the shared registry)
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir !== undefined ? options.dataDir : DEFAULT_DATA_DIR;
+    this.registry = options.registry || getTokenRegistry();
+    // chainId -> lowercased address -> metadata
+    this.chains = new Map();
+    // Reads in flight, so concurrent lookups of one token share them
+    this.pending = new Map();
+  }
+
+  filePath(chainId) {
+    return path.join(this.dataDir, `${chainId}.json`);
+  }
+
+  /**
+   * Cached tokens of a chain, loaded from disk on first use
+   * @param {number} chainId - Chain ID
+   * @returns {Map} Metadata by lowercased address
+   */
+  entries(chainId) {
+    if (!this.chains.has(chainId)) {
+      let tokens = {};
+      if (this.dataDir) {
+        try {
+          const state = JSON.parse(fs.readFileSync(this.filePath(chainId), 'utf8'));
+          if (state.version === CACHE_VERSION) tokens = state.tokens;
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.error(`Failed to read token cache ${this.filePath(chainId)}:`, error.message);
+          }
+        }
+      }
+      this.chains.set(chainId, new Map(Object.entries(tokens)));
+    }
+    return this.chains.get(chainId);
+  }
+
+  /**
+   * Write a chain's cached entries to disk atomically
+   * @param {number} chainId - Chain ID
+   */
+  save(chainId) {
+    if (!this.dataDir) return;
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const filePath = this.filePath(chainId);
+    const tmpPath = `${filePath}.tmp`;
+    const tokens = Object.fromEntries(this.entries(chainId));
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: CACHE_VERSION, chainId, tokens }, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Metadata of a token
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Token address
+   * @param {ethers.providers.Provider} provider - Ethers provider for the chain, used for unlisted tokens
+   * @returns {Promise<Object>} chainId, address, decimals, symbol, name, feeOnTransfer, rebasing and source ("list" or "chain")
+   */
+  async get(chainId, address, provider) {
+    if (!ethers.utils.isAddress(address)) {
+      throw new Error(`Invalid token address: ${address}`);
+    }
+    chainId = Number(chainId);
+    const key = address.toLowerCase();
+
+    const listed = this.registry.getTokenByAddress(chainId, key);
+    if (listed) {
+      return {
+        chainId,
+        address: listed.address,
+        decimals: listed.decimals,
+        symbol: listed.symbol,
+        name: listed.name,
+        feeOnTransfer: listed.tags.includes(FEE_ON_TRANSFER_TAG),
+        rebasing: listed.tags.includes(REBASING_TAG),
+        source: "list"
+      };
+    }
+
+    const cached = this.entries(chainId).get(key);
+    if (cached) return { chainId, ...cached, source: "chain" };
+
+    const pendingKey = `${chainId}:${key}`;
+    if (!this.pending.has(pendingKey)) {
+      this.pending.set(pendingKey, this.fetch(chainId, address, provider).finally(() => this.pending.delete(pendingKey)));
+    }
+    return this.pending.get(pendingKey);
+  }
+
+  /**
+   * Read a token's metadata on-chain and cache it
+   * @returns {Promise<Object>} Metadata
+   */
+  async fetch(chainId, address, provider) {
+    if (!provider) {
+      throw new Error(`A provider is required to read token ${address} on chain ${chainId}`);
+    }
+    const to = ethers.utils.getAddress(address);
+    // Network and server errors reject here, so a failed read is never cached as missing metadata
+    const call = method => callOrRevert(provider, { to, data: metadataInterface.encodeFunctionData(method) });
+    const [decimalsData, symbolData, nameData] = await Promise.all([call("decimals"), call("symbol"), call("name")]);
+
+    // Reverts, empty "0x" results and undecodable data all mean the method is not implemented
+    let decimals;
+    try {
+      decimals = metadataInterface.decodeFunctionResult("decimals", decimalsData)[0];
+    } catch (error) {
+      throw new Error(`Token ${to} on chain ${chainId} does not implement decimals()`);
+    }
+    const symbol = decodeText(symbolData) || "Unknown";
+    const entry = {
+      address: to,
+      decimals,
+      symbol,
+      // Tokens without name() are named after their symbol
+      name: decodeText(nameData) || (symbol !== "Unknown" ? symbol : "Unknown Token"),
+      feeOnTransfer: false,
+      rebasing: false
+    };
+
+    this.entries(chainId).set(to.toLowerCase(), entry);
+    this.save(chainId);
+    return { chainId, ...entry, source: "chain" };
+  }
+
+  /**
+   * Mark an unlisted token as fee-on-transfer or rebasing; listed tokens take their flags from the list tags
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Token address
+   * @param {Object} flags - feeOnTransfer and/or rebasing
+   * @param {ethers.providers.Provider} provider - Ethers provider, used when the token is not cached yet
+   * @returns {Promise<Object>} Updated metadata
+   */
+  async setFlags(chainId, address, flags, provider) {
+    const token = await this.get(chainId, address, provider);
+    if (token.source === "list") {
+      throw new Error(`${token.symbol} (${token.address}) is in the token lists; tag it "${FEE_ON_TRANSFER_TAG}" or "${REBASING_TAG}" there`);
+    }
+    const entry = this.entries(token.chainId).get(token.address.toLowerCase());
+    if (flags.feeOnTransfer !== undefined) entry.feeOnTransfer = Boolean(flags.feeOnTransfer);
+    if (flags.rebasing !== undefined) entry.rebasing = Boolean(flags.rebasing);
+    this.save(token.chainId);
+    return { chainId: token.chainId, ...entry, source: "chain" };
+  }
+}
+
+let defaultCache = null;
+
+/**
+ * The token metadata cache shared by the MCP server, tokenUtils and the price feed
+ * @returns {TokenMetadataCache} Token metadata cache
+ */
+function getTokenMetadataCache() {
+  if (!defaultCache) defaultCache = new TokenMetadataCache();
+  return defaultCache;
+}
+
+module.exports = {
+  TokenMetadataCache,
+  getTokenMetadataCache,
+  decodeText
+};
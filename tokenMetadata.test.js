@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require("ethers");
+
+const { TokenMetadataCache, decodeText } = require('./tokenMetadata');
+
+const TOKEN = "0x9f8F72aA9304c8B593d555F12eF6589cC3A579A2";
+const coder = ethers.utils.defaultAbiCoder;
+const iface = new ethers.utils.Interface([
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function name() view returns (string)"
+]);
+
+// Registry without listed tokens, so every lookup reads the chain
+const emptyRegistry = { getTokenByAddress: () => null };
+
+// Provider answering each method with return data, or failing with an error
+function stubProvider(results) {
+  let calls = 0;
+  return {
+    get calls() {
+      return calls;
+    },
+    async call({ data }) {
+      calls++;
+      const result = results[iface.parseTransaction({ data }).name];
+      if (result instanceof Error) throw result;
+      return result;
+    }
+  };
+}
+
+const callException = () => Object.assign(new Error("call revert exception"), { code: ethers.errors.CALL_EXCEPTION });
+
+test('decodeText reads ABI strings and null-padded bytes32', () => {
+  assert.equal(decodeText(coder.encode(["string"], ["Wrapped Ether"])), "Wrapped Ether");
+  // MKR returns its symbol as bytes32
+  assert.equal(decodeText(ethers.utils.formatBytes32String("MKR")), "MKR");
+  assert.equal(decodeText(ethers.utils.formatBytes32String("")), null);
+  assert.equal(decodeText("0x"), null);
+  assert.equal(decodeText(null), null);
+  // Not text: neither a string nor 32 bytes of UTF-8
+  assert.equal(decodeText("0x1234"), null);
+  assert.equal(decodeText(`0x${"ff".repeat(32)}`), null);
+});
+
+test('fetch decodes bytes32 symbols and falls back on reverted names', async () => {
+  const cache = new TokenMetadataCache({ dataDir: null, registry: emptyRegistry });
+  const provider = stubProvider({
+    decimals: coder.encode(["uint8"], [18]),
+    symbol: ethers.utils.formatBytes32String("MKR"),
+    name: callException()
+  });
+  const token = await cache.get(1, TOKEN, provider);
+  assert.equal(token.symbol, "MKR");
+  assert.equal(token.name, "MKR");
+  assert.equal(token.source, "chain");
+  // Cached after the first read
+  await cache.get(1, TOKEN, provider);
+  assert.equal(provider.calls, 3);
+});
+
+test('fetch rejects tokens without decimals()', async () => {
+  const cache = new TokenMetadataCache({ dataDir: null, registry: emptyRegistry });
+  const provider = stubProvider({ decimals: "0x", symbol: "0x", name: "0x" });
+  await assert.rejects(cache.get(1, TOKEN, provider), /does not implement decimals\(\)/);
+});
+
+test('fetch rethrows network errors and caches nothing', async () => {
+  const cache = new TokenMetadataCache({ dataDir: null, registry: emptyRegistry });
+  const timeout = Object.assign(new Error("timeout"), { code: ethers.errors.TIMEOUT });
+  const provider = stubProvider({ decimals: coder.encode(["uint8"], [18]), symbol: timeout, name: callException() });
+  await assert.rejects(cache.get(1, TOKEN, provider), /timeout/);
+  assert.equal(cache.entries(1).size, 0);
+});
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require("ethers");
+const { z } = require("zod");
+
+// Token list shipped with the repo; lists from TOKEN_LISTS take priority over it
+const DEFAULT_TOKEN_LIST = path.join(__dirname, 'tokenLists', 'default.tokenlist.json');
+
+const AddressSchema = z.string().refine(ethers.utils.isAddress, "Invalid address or checksum");
+
+// Token list format from https://github.com/Uniswap/token-lists (fields this repo uses are checked strictly)
+const TokenInfoSchema = z.object({
+  chainId: z.number().int().positive(),
+  address: AddressSchema,
+  decimals: z.number().int().min(0).max(255),
+  name: z.string().min(1).max(60),
+  symbol: z.string().min(1).max(20).regex(/^\S+$/, "Symbol cannot contain whitespace"),
+  logoURI: z.string().url().optional(),
+  tags: z.array(z.string().min(1)).max(10).optional(),
+  extensions: z.object({
+    bridgeInfo: z.record(
+      z.string().regex(/^\d+$/, "Bridge chain IDs must be numeric"),
+      z.object({ tokenAddress: AddressSchema }).passthrough()
+    ).optional()
+  }).passthrough().optional()
+}).passthrough();
+
+const TokenListSchema = z.object({
+  name: z.string().min(1).max(30),
+  timestamp: z.string().datetime({ offset: true }),
+  version: z.object({
+    major: z.number().int().min(0),
+    minor: z.number().int().min(0),
+    patch: z.number().int().min(0)
+  }),
+  tokens: z.array(TokenInfoSchema).min(1),
+  tags: z.record(z.object({ name: z.string(), description: z.string() })).optional(),
+  keywords: z.array(z.string()).optional(),
+  logoURI: z.string().url().optional()
+}).passthrough().superRefine((list, ctx) => {
+  const seen = new Set();
+  list.tokens.forEach((token, index) => {
+    const key = `${token.chainId}:${token.address.toLowerCase()}`;
+    if (seen.has(key)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["tokens", index, "address"], message: `Duplicate token ${token.address} on chain ${token.chainId}` });
+    }
+    seen.add(key);
+  });
+});
+
+/**
+ * Validate a parsed token list
+ * @param {Object} list - Token list JSON
+ * @param {string} [source="token list"] - File name or label used in error messages
+ * @returns {Object} The validated list
+ */
+function validateTokenList(list, source = "token list") {
+  const result = TokenListSchema.safeParse(list);
+  if (!result.success) {
+    const issues = result.error.issues
+      .slice(0, 10)
+      .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('; ');
+    throw new Error(`Invalid token list ${source}: ${issues}`);
+  }
+  return result.data;
+}
+
+/**
+ * Read and validate a token list file
+ * @param {string} filePath - Path to a token list JSON file
+ * @returns {Object} The validated list
+ */
+function loadTokenList(filePath) {
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read token list ${filePath}: ${error.message}`);
+  }
+  return validateTokenList(list, filePath);
+}
+
+/**
+ * Tokens from one or more token lists, merged by priority. A token is
+ * identified by chain and address; when several lists have it, the list
+ * added first wins each field it sets and later lists only fill in the rest.
+ * A symbol on a chain refers to the tokens the highest-priority list that
+ * uses it lists under it; symbols are matched exactly first and ignoring
+ * case only when there is no exact match.
+ */
+class TokenRegistry {
+  constructor() {
+    this.lists = [];
+    // chainId -> lowercased address -> token
+    this.tokens = new Map();
+    // chainId -> symbol as listed -> { listIndex, tokens } of the highest-priority list using it
+    this.symbols = new Map();
+  }
+
+  /**
+   * Add a validated token list below the lists already added
+   * @param {Object} list - Token list
+   * @param {string} [source] - File name or label used in error messages
+   * @returns {TokenRegistry} This registry
+   */
+  addList(list, source = list && list.name) {
+    const validated = validateTokenList(list, source);
+    const listIndex = this.lists.length;
+    this.lists.push({ name: validated.name, version: validated.version, tokenCount: validated.tokens.length });
+
+    for (const info of validated.tokens) {
+      if (!this.tokens.has(info.chainId)) {
+        this.tokens.set(info.chainId, new Map());
+        this.symbols.set(info.chainId, new Map());
+      }
+      const byAddress = this.tokens.get(info.chainId);
+      const key = info.address.toLowerCase();
+      const existing = byAddress.get(key);
+
+      if (existing) {
+        if (existing.logoURI === null && info.logoURI) existing.logoURI = info.logoURI;
+        existing.tags = [...new Set([...existing.tags, ...(info.tags || [])])];
+        existing.bridgeInfo = { ...bridgeInfoOf(info), ...existing.bridgeInfo };
+        existing.lists.push(validated.name);
+      } else {
+        byAddress.set(key, {
+          chainId: info.chainId,
+          address: ethers.utils.getAddress(info.address),
+          symbol: info.symbol,
+          name: info.name,
+          decimals: info.decimals,
+          logoURI: info.logoURI || null,
+          tags: info.tags || [],
+          bridgeInfo: bridgeInfoOf(info),
+          lists: [validated.name]
+        });
+      }
+
+      const bySymbol = this.symbols.get(info.chainId);
+      if (!bySymbol.has(info.symbol)) bySymbol.set(info.symbol, { listIndex, tokens: [] });
+      const holders = bySymbol.get(info.symbol);
+      const token = byAddress.get(key);
+      if (holders.listIndex === listIndex && !holders.tokens.includes(token)) holders.tokens.push(token);
+    }
+    return this;
+  }
+
+  /**
+   * Read, validate and add a token list file
+   * @param {string} filePath - Path to a token list JSON file
+   * @returns {TokenRegistry} This registry
+   */
+  addListFile(filePath) {
+    return this.addList(loadTokenList(filePath), filePath);
+  }
+
+  /**
+   * Chain IDs with at least one token
+   * @returns {Array<number>} Chain IDs
+   */
+  getChainIds() {
+    return [...this.tokens.keys()];
+  }
+
+  /**
+   * Tokens of a chain reachable by symbol, in list order
+   * @param {number} chainId - Chain ID
+   * @returns {Array<Object>} Tokens
+   */
+  getTokens(chainId) {
+    const bySymbol = this.symbols.get(Number(chainId));
+    return bySymbol ? [...new Set([...bySymbol.values()].flatMap(({ tokens }) => tokens))] : [];
+  }
+
+  /**
+   * Tokens a symbol can refer to on a chain: those listed under the exact
+   * symbol, or when there are none, under any symbol equal to it ignoring case
+   * @param {number} chainId - Chain ID
+   * @param {string} symbol - Token symbol
+   * @returns {Array<Object>} Candidate tokens; more than one means the symbol is ambiguous
+   */
+  getTokensBySymbol(chainId, symbol) {
+    const bySymbol = this.symbols.get(Number(chainId));
+    if (!bySymbol) return [];
+    if (bySymbol.has(symbol)) return [...bySymbol.get(symbol).tokens];
+
+    const upper = String(symbol).toUpperCase();
+    return [...new Set([...bySymbol]
+      .filter(([listed]) => listed.toUpperCase() === upper)
+      .flatMap(([, { tokens }]) => tokens))];
+  }
+
+  /**
+   * Token by symbol, matched exactly first and then ignoring case
+   * @param {number} chainId - Chain ID
+   * @param {string} symbol - Token symbol
+   * @returns {Object|null} Token, or null when the chain has no such symbol
+   * @throws {Error} When the symbol matches several tokens; the error's candidates lists them
+   */
+  getTokenBySymbol(chainId, symbol) {
+    const candidates = this.getTokensBySymbol(chainId, symbol);
+    if (candidates.length > 1) {
+      const listed = candidates.map(token => `${token.symbol} (${token.address}, ${token.lists[0]})`).join(', ');
+      const error = new Error(`Token symbol "${symbol}" is ambiguous on chain ${chainId}: ${listed}. Use the token address instead`);
+      error.candidates = candidates;
+      throw error;
+    }
+    return candidates[0] || null;
+  }
+
+  /**
+   * Token by address
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Token address
+   * @returns {Object|null} Token, or null when no list has it
+   */
+  getTokenByAddress(chainId, address) {
+    const byAddress = this.tokens.get(Number(chainId));
+    return (byAddress && byAddress.get(String(address).toLowerCase())) || null;
+  }
+
+  /**
+   * Symbol to address map of a chain, with the first token listed under each symbol
+   * @param {number} chainId - Chain ID
+   * @returns {Object} Token addresses by symbol
+   */
+  getTokenAddresses(chainId) {
+    const bySymbol = this.symbols.get(Number(chainId));
+    return bySymbol ? Object.fromEntries([...bySymbol].map(([symbol, { tokens }]) => [symbol, tokens[0].address])) : {};
+  }
+}
+
+// Bridged addresses by chain ID from a token's extensions
+function bridgeInfoOf(info) {
+  const bridgeInfo = (info.extensions && info.extensions.bridgeInfo) || {};
+  return Object.fromEntries(Object.entries(bridgeInfo).map(([chainId, { tokenAddress }]) => [
+    chainId,
+    ethers.utils.getAddress(tokenAddress)
+  ]));
+}
+
+let defaultRegistry = null;
+
+/**
+ * The registry loaded from the TOKEN_LISTS environment variable (comma-separated
+ * file paths, highest priority first) followed by the repo's default list
+ * @returns {TokenRegistry} Token registry
+ */
+function getTokenRegistry() {
+  if (!defaultRegistry) {
+    const files = (process.env.TOKEN_LISTS || '')
+      .split(',')
+      .map(file => file.trim())
+      .filter(Boolean)
+      .map(file => path.resolve(file));
+    const registry = new TokenRegistry();
+    for (const file of [...files, DEFAULT_TOKEN_LIST]) {
+      registry.addListFile(file);
+    }
+    defaultRegistry = registry;
+  }
+  return defaultRegistry;
+}
+
+module.exports = {
+  TokenRegistry,
+  getTokenRegistry,
+  loadTokenList,
+  validateTokenList,
+  TokenListSchema,
+  DEFAULT_TOKEN_LIST
+};
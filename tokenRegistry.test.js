@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TokenRegistry, validateTokenList } = require('./tokenRegistry');
+
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const WETH = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
+
+function tokenList(name, tokens) {
+  return {
+    name,
+    timestamp: "2024-01-01T00:00:00Z",
+    version: { major: 1, minor: 0, patch: 0 },
+    tokens: tokens.map(token => ({ chainId: 1, decimals: 18, name: token.symbol, ...token }))
+  };
+}
+
+test('validateTokenList rejects lists that break the schema', () => {
+  const valid = tokenList("Test", [{ address: USDC, symbol: "USDC", decimals: 6 }]);
+  assert.equal(validateTokenList(valid).tokens.length, 1);
+
+  const badChecksum = tokenList("Test", [{ address: USDC.replace("A0b8", "a0B8"), symbol: "USDC" }]);
+  assert.throws(() => validateTokenList(badChecksum, "bad.json"), /Invalid token list bad\.json: tokens\.0\.address: Invalid address or checksum/);
+
+  const spacedSymbol = tokenList("Test", [{ address: USDC, symbol: "US DC" }]);
+  assert.throws(() => validateTokenList(spacedSymbol), /Symbol cannot contain whitespace/);
+
+  const duplicate = tokenList("Test", [{ address: USDC, symbol: "USDC" }, { address: USDC.toLowerCase(), symbol: "USDC2" }]);
+  assert.throws(() => validateTokenList(duplicate), /Duplicate token/);
+
+  assert.throws(() => validateTokenList({ ...valid, tokens: [] }), /tokens/);
+});
+
+test('the list added first wins each field it sets', () => {
+  const registry = new TokenRegistry()
+    .addList(tokenList("Ours", [{ address: USDC, symbol: "USDC", name: "USD Coin (ours)", decimals: 6, tags: ["stablecoin"] }]))
+    .addList(tokenList("Theirs", [
+      { address: USDC, symbol: "USDC", name: "USD Coin", decimals: 6, logoURI: "https://example.com/usdc.png", tags: ["circle"] },
+      { address: WETH, symbol: "WETH", name: "Wrapped Ether" }
+    ]));
+
+  const usdc = registry.getTokenByAddress(1, USDC.toLowerCase());
+  assert.equal(usdc.name, "USD Coin (ours)");
+  // Fields the first list leaves out are filled in from later lists
+  assert.equal(usdc.logoURI, "https://example.com/usdc.png");
+  assert.deepEqual(usdc.tags, ["stablecoin", "circle"]);
+  assert.deepEqual(usdc.lists, ["Ours", "Theirs"]);
+  assert.equal(registry.getTokenByAddress(1, WETH).symbol, "WETH");
+  assert.deepEqual(registry.getTokenAddresses(1), { USDC, WETH });
+});
+
+test('a symbol refers to the tokens of the highest-priority list using it', () => {
+  const other = "0x0000000000000000000000000000000000000001";
+  const registry = new TokenRegistry()
+    .addList(tokenList("Ours", [{ address: USDC, symbol: "USDC", decimals: 6 }]))
+    .addList(tokenList("Theirs", [{ address: other, symbol: "USDC", decimals: 6 }]));
+
+  assert.equal(registry.getTokenBySymbol(1, "USDC").address, USDC);
+  assert.equal(registry.getTokenBySymbol(1, "usdc").address, USDC);
+  // The lower-priority token stays reachable by address
+  assert.equal(registry.getTokenByAddress(1, other).lists[0], "Theirs");
+  assert.equal(registry.getTokenBySymbol(137, "USDC"), null);
+});
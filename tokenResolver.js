@@ -0,0 +1,168 @@
+const { ethers } = require("ethers");
+
+const CHAIN_CONFIGS = require('./chainConfigs');
+const { getTokenRegistry } = require('./tokenRegistry');
+
+// Chain names compared without case, spaces or punctuation, e.g. "arbitrumone"
+const normalizeChainName = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const supportedChains = () => Object.entries(CHAIN_CONFIGS)
+  .map(([id, { name }]) => `${id} - ${name}`)
+  .join(', ');
+
+/**
+ * Chain ID from a chain ID or a chain name from chainConfigs.js
+ * @param {number|string} chain - Chain ID, chain name or a unique start of one (e.g. 42161, "Arbitrum One", "arbitrum")
+ * @returns {number} Chain ID
+ */
+function resolveChainId(chain) {
+  if (typeof chain === "number" || /^\d+$/.test(String(chain).trim())) {
+    const chainId = Number(chain);
+    if (!CHAIN_CONFIGS[chainId]) {
+      throw new Error(`Unsupported chainId: ${chainId}. Supported chains: ${supportedChains()}`);
+    }
+    return chainId;
+  }
+
+  const wanted = normalizeChainName(chain);
+  const chains = Object.entries(CHAIN_CONFIGS);
+  const exact = chains.filter(([, config]) => normalizeChainName(config.name) === wanted);
+  const matches = exact.length > 0 || !wanted
+    ? exact
+    : chains.filter(([, config]) => normalizeChainName(config.name).startsWith(wanted));
+  if (matches.length !== 1) {
+    throw new Error(`${matches.length > 1 ? "Ambiguous" : "Unknown"} chain "${chain}". Supported chains: ${supportedChains()}`);
+  }
+  return Number(matches[0][0]);
+}
+
+/**
+ * Split a token input into chain and token
+ * @param {string} input - Symbol, address, or "chain:symbol" / "chain:address"
+ * @param {number|string} [chain] - Chain the token is expected on
+ * @returns {Object} chainId and token (symbol or address)
+ */
+function parseTokenInput(input, chain) {
+  const text = String(input || "").trim();
+  const separator = text.indexOf(":");
+  const token = (separator > 0 ? text.slice(separator + 1) : text).trim();
+  if (!token) {
+    throw new Error(`A token symbol or address is required, got "${input}"`);
+  }
+
+  const expectedChainId = chain !== undefined && chain !== null ? resolveChainId(chain) : null;
+  if (separator > 0) {
+    const chainId = resolveChainId(text.slice(0, separator).trim());
+    if (expectedChainId !== null && chainId !== expectedChainId) {
+      throw new Error(`Token "${text}" is on ${CHAIN_CONFIGS[chainId].name}, but ${CHAIN_CONFIGS[expectedChainId].name} was requested`);
+    }
+    return { chainId, token };
+  }
+  if (expectedChainId === null) {
+    throw new Error(`Token "${text}" needs a chain: pass one, or write the token as "<chain>:${text}" (e.g. "base:${text}")`);
+  }
+  return { chainId: expectedChainId, token };
+}
+
+// Listed tokens bridged from another chain are tagged "bridged"; all others are the chain's canonical token
+const variantOf = token => (token.tags.includes("bridged") ? "bridged" : "canonical");
+
+// Symbol of the asset a token stands for: a bridged token's Ethereum symbol (USDC for USDC.e and USDbC), else its own
+function assetSymbol(registry, token) {
+  const origin = token.chainId !== 1 && token.bridgeInfo["1"] ? registry.getTokenByAddress(1, token.bridgeInfo["1"]) : null;
+  return (origin || token).symbol.toUpperCase();
+}
+
+// Listed tokens of a chain standing for an asset, canonical first
+function variantsOf(registry, chainId, symbol) {
+  const wanted = symbol.toUpperCase();
+  return registry.getTokens(chainId)
+    .filter(token => assetSymbol(registry, token) === wanted)
+    .sort((a, b) => (variantOf(a) === "canonical" ? 0 : 1) - (variantOf(b) === "canonical" ? 0 : 1));
+}
+
+// Resolved token with the other variants of its asset on the chain
+function describeToken(registry, token) {
+  return {
+    chainId: token.chainId,
+    chainName: CHAIN_CONFIGS[token.chainId] ? CHAIN_CONFIGS[token.chainId].name : null,
+    address: token.address,
+    symbol: token.symbol,
+    name: token.name,
+    decimals: token.decimals,
+    variant: variantOf(token),
+    listed: true,
+    variants: variantsOf(registry, token.chainId, assetSymbol(registry, token))
+      .filter(other => other !== token)
+      .map(other => ({ symbol: other.symbol, address: other.address, variant: variantOf(other) }))
+  };
+}
+
+/**
+ * Find a token by symbol or address. Symbols match exactly first and ignoring
+ * case only when nothing matches exactly, and never fall back to another
+ * variant: on Arbitrum "USDC" is native USDC and "USDC.e" the bridged one.
+ * @param {string} input - Symbol ("USDC"), address, or "chain:symbol" ("arbitrum:USDC.e", "8453:0x...")
+ * @param {Object} [options] - Lookup options
+ * @param {number|string} [options.chainId] - Chain ID or name; required unless the input names the chain
+ * @param {TokenRegistry} [options.registry] - Registry to search (default: the shared registry)
+ * @returns {Object|null} Token with chainId, chainName, address, symbol, name, decimals, variant ("canonical",
+ *   "bridged", or null for an unlisted address), listed and the asset's other variants; null when no symbol matches
+ * @throws {Error} When the symbol matches several tokens (the error's candidates lists them) or the chain is invalid
+ */
+function findToken(input, options = {}) {
+  const registry = options.registry || getTokenRegistry();
+  const { chainId, token } = parseTokenInput(input, options.chainId);
+
+  if (/^0x[0-9a-fA-F]{40}$/.test(token)) {
+    if (!ethers.utils.isAddress(token)) {
+      throw new Error(`Invalid address checksum: ${token}`);
+    }
+    const listed = registry.getTokenByAddress(chainId, token);
+    if (listed) return describeToken(registry, listed);
+    return {
+      chainId,
+      chainName: CHAIN_CONFIGS[chainId].name,
+      address: ethers.utils.getAddress(token),
+      symbol: null,
+      name: null,
+      decimals: null,
+      variant: null,
+      listed: false,
+      variants: []
+    };
+  }
+
+  const listed = registry.getTokenBySymbol(chainId, token);
+  return listed ? describeToken(registry, listed) : null;
+}
+
+/**
+ * Resolve a token like findToken, but throw when a symbol is not listed,
+ * naming the asset's variants on the chain when there are any
+ * @param {string} input - Symbol, address, or "chain:symbol"
+ * @param {Object} [options] - Same as findToken
+ * @returns {Object} Token, as returned by findToken
+ */
+function resolveToken(input, options = {}) {
+  const found = findToken(input, options);
+  if (found) return found;
+
+  const registry = options.registry || getTokenRegistry();
+  const { chainId, token } = parseTokenInput(input, options.chainId);
+  const chainName = CHAIN_CONFIGS[chainId].name;
+  const variants = variantsOf(registry, chainId, token);
+  if (variants.length > 0) {
+    const listed = variants.map(variant => `${variant.symbol} (${variantOf(variant)}, ${variant.address})`).join(', ');
+    throw new Error(`Token "${token}" not found on ${chainName}. Variants of it: ${listed}. Use one of these symbols or an address`);
+  }
+  const available = registry.getTokens(chainId).map(({ symbol }) => symbol);
+  throw new Error(`Token "${token}" not found on ${chainName}. Available tokens: ${available.join(', ') || 'none'}`);
+}
+
+module.exports = {
+  resolveToken,
+  findToken,
+  resolveChainId,
+  parseTokenInput
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// chainConfigs.js needs an RPC key to load; nothing here makes RPC calls
+process.env.INFURA_KEY = process.env.INFURA_KEY || "test";
+
+const { TokenRegistry } = require('./tokenRegistry');
+const { findToken, resolveToken, resolveChainId, parseTokenInput } = require('./tokenResolver');
+
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const ARBITRUM_USDC = "0xaf88d065e77c8cC2239327C5EDb3A432268e5831";
+const ARBITRUM_USDC_E = "0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8";
+const OPTIMISM_USDC_E = "0x7F5c764cBc14f9669B88837ca1490cCa17c31607";
+
+const bridged = { tags: ["bridged"], extensions: { bridgeInfo: { 1: { tokenAddress: USDC } } } };
+
+const registry = new TokenRegistry().addList({
+  name: "Test",
+  timestamp: "2024-01-01T00:00:00Z",
+  version: { major: 1, minor: 0, patch: 0 },
+  tokens: [
+    { chainId: 1, address: USDC, symbol: "USDC", name: "USD Coin", decimals: 6 },
+    { chainId: 42161, address: ARBITRUM_USDC, symbol: "USDC", name: "USD Coin", decimals: 6 },
+    { chainId: 42161, address: ARBITRUM_USDC_E, symbol: "USDC.e", name: "Bridged USDC", decimals: 6, ...bridged },
+    { chainId: 10, address: OPTIMISM_USDC_E, symbol: "USDC.e", name: "Bridged USDC", decimals: 6, ...bridged },
+    // Two tokens under one symbol in the same list
+    { chainId: 10, address: "0x0000000000000000000000000000000000000001", symbol: "DUP", name: "Duplicate One", decimals: 18 },
+    { chainId: 10, address: "0x0000000000000000000000000000000000000002", symbol: "DUP", name: "Duplicate Two", decimals: 18 }
+  ]
+});
+
+test('resolveChainId takes IDs, names and unique prefixes', () => {
+  assert.equal(resolveChainId(42161), 42161);
+  assert.equal(resolveChainId("Arbitrum One"), 42161);
+  assert.equal(resolveChainId("arbitrum"), 42161);
+  assert.throws(() => resolveChainId(5), /Unsupported chainId: 5/);
+  assert.deepEqual(parseTokenInput("base:USDC"), { chainId: 8453, token: "USDC" });
+  assert.throws(() => parseTokenInput("USDC"), /needs a chain/);
+  assert.throws(() => parseTokenInput("base:USDC", 1), /is on Base, but Ethereum was requested/);
+});
+
+test('a symbol resolves to its own variant and lists the others', () => {
+  const usdc = resolveToken("arbitrum:USDC", { registry });
+  assert.equal(usdc.address, ARBITRUM_USDC);
+  assert.equal(usdc.variant, "canonical");
+  assert.deepEqual(usdc.variants, [{ symbol: "USDC.e", address: ARBITRUM_USDC_E, variant: "bridged" }]);
+
+  const bridgedUsdc = resolveToken("USDC.e", { chainId: 42161, registry });
+  assert.equal(bridgedUsdc.address, ARBITRUM_USDC_E);
+  assert.equal(bridgedUsdc.variant, "bridged");
+  assert.equal(bridgedUsdc.variants[0].symbol, "USDC");
+});
+
+test('a symbol never falls back to a bridged variant', () => {
+  assert.equal(findToken("optimism:USDC", { registry }), null);
+  assert.throws(
+    () => resolveToken("optimism:USDC", { registry }),
+    new RegExp(`Token "USDC" not found on Optimism\\. Variants of it: USDC\\.e \\(bridged, ${OPTIMISM_USDC_E}\\)`)
+  );
+  assert.throws(() => resolveToken("optimism:WBTC", { registry }), /Available tokens: USDC\.e, DUP/);
+});
+
+test('an ambiguous symbol throws with the candidates', () => {
+  assert.throws(() => findToken("optimism:DUP", { registry }), error => {
+    assert.match(error.message, /Token symbol "DUP" is ambiguous on chain 10/);
+    assert.deepEqual(error.candidates.map(token => token.name), ["Duplicate One", "Duplicate Two"]);
+    return true;
+  });
+});
+
+test('addresses resolve whether listed or not', () => {
+  assert.equal(findToken(`42161:${ARBITRUM_USDC_E.toLowerCase()}`, { registry }).symbol, "USDC.e");
+  const unlisted = findToken("ethereum:0x0000000000000000000000000000000000000003", { registry });
+  assert.equal(unlisted.listed, false);
+  assert.equal(unlisted.variant, null);
+  assert.throws(() => findToken(`1:${USDC.replace("A0b8", "a0B8")}`, { registry }), /Invalid address checksum/);
+});
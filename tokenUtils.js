@@ -3,96 +3,41 @@ const {
   Token,
   CurrencyAmount,
   TradeType,
-  Percent
+  Price,
+  Fraction
 } = require("@uniswap/sdk-core");
-const { AlphaRouter, SwapType } = require("@uniswap/smart-order-router");
 
 // Import chain configurations
 const CHAIN_CONFIGS = require('./chainConfigs');
 
-// Common token addresses across different chains
-const TOKEN_ADDRESSES = {
-  // Ethereum Mainnet (chainId: 1)
-  1: {
-    WETH: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
-    USDC: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
-    USDT: "0xdAC17F958D2ee523a2206206994597C13D831ec7",
-    DAI: "0x6B175474E89094C44Da98b954EedeAC495271d0F",
-    WBTC: "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599",
-    UNI: "0x1f9840a85d5aF5bf1D1762F925BDADdC4201F984",
-    LINK: "0x514910771AF9Ca656af840dff83E8264EcF986CA",
-    AAVE: "0x7Fc66500c84A76Ad7e9c93437bFc5Ac33E2DDaE9",
-    MATIC: "0x7D1AfA7B718fb893dB30A3aBc0Cfc608AaCfeBB0",
-    CRV: "0xD533a949740bb3306d119CC777fa900bA034cd52"
-  },
-  // Optimism (chainId: 10)
-  10: {
-    WETH: "0x4200000000000000000000000000000000000006",
-    USDC: "0x7F5c764cBc14f9669B88837ca1490cCa17c31607",
-    USDT: "0x94b008aA00579c1307B0EF2c499aD98a8ce58e58",
-    DAI: "0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1",
-    WBTC: "0x68f180fcCe6836688e9084f035309E29Bf0A2095",
-    OP: "0x4200000000000000000000000000000000000042",
-    LINK: "0x350a791Bfc2C21F9Ed5d10980Dad2e2638ffa7f6",
-    SNX: "0x8700dAec35aF8Ff88c16BdF0418774CB3D7599B4"
-  },
-  // Polygon (chainId: 137)
-  137: {
-    WMATIC: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270",
-    WETH: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619",
-    USDC: "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174",
-    USDT: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F",
-    DAI: "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063",
-    WBTC: "0x1bfd67037b42cf73acF2047067bd4F2C47D9BfD6",
-    LINK: "0x53E0bca35eC356BD5ddDFebbD1Fc0fD03FaBad39",
-    AAVE: "0xD6DF932A45C0f255f85145f286eA0b292B21C90B"
-  },
-  // Arbitrum One (chainId: 42161)
-  42161: {
-    WETH: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1",
-    USDC: "0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8",
-    USDT: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9",
-    DAI: "0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1",
-    WBTC: "0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f",
-    ARB: "0x912CE59144191C1204E64559FE8253a0e49E6548",
-    LINK: "0xf97f4df75117a78c1A5a0DBb814Af92458539FB4",
-    GMX: "0xfc5A1A6EB076a2C7aD06eD22C90d7E710E35ad0a"
-  },
-  // BNB Chain (chainId: 56)
-  56: {
-    WBNB: "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c",
-    USDC: "0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d",
-    USDT: "0x55d398326f99059fF775485246999027B3197955",
-    BUSD: "0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56",
-    ETH: "0x2170Ed0880ac9A755fd29B2688956BD959F933F8",
-    BTCB: "0x7130d2A12B9BCbFAe4f2634d864A1Ee1Ce3Ead9c",
-    CAKE: "0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82"
-  },
-  // Avalanche (chainId: 43114)
-  43114: {
-    WAVAX: "0xB31f66AA3C1e785363F0875A1B74E27b85FD66c7",
-    WETH: "0x49D5c2BdFfac6CE2BFdB6640F4F80f226bc10bAB",
-    USDC: "0xA7D7079b0FEaD91F3e65f86E8915Cb59c1a4C664",
-    USDT: "0xc7198437980c041c805A1EDcbA50c1Ce5db95118",
-    DAI: "0xd586E7F844cEa2F87f50152665BCbc2C279D8d70",
-    WBTC: "0x50b7545627a5162F82A992c33b87aDc75187B218",
-    LINK: "0x5947BB275c521040051D82396192181b413227A3"
-  },
-  // Base (chainId: 8453)
-  8453: {
-    WETH: "0x4200000000000000000000000000000000000006",
-    USDC: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
-    DAI: "0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb",
-    USDbC: "0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA"
-  }
-};
+// Token registry loaded from token list files (see tokenRegistry.js)
+const { getTokenRegistry } = require('./tokenRegistry');
+const { getTokenMetadataCache } = require('./tokenMetadata');
+const { findToken, resolveToken } = require('./tokenResolver');
+const { getChainContextRegistry } = require('./chainContext');
+const { quoteDirect } = require('./quoter');
+const { parseQuoteOptions, slippagePercent, toRouterArgs } = require('./quoteOptions');
+const { amountToUSD, toFixedPoint, USD_DECIMALS } = require('./poolMath');
+
+const tokenRegistry = getTokenRegistry();
+
+// How a quote is made: the smart order router with QuoterV2 as a fallback, or only one of them
+const QUOTE_MODES = ["auto", "router", "direct"];
+
+// Milliseconds the smart order router gets in "auto" mode before QuoterV2 takes over
+const ROUTER_TIMEOUT_MS = 10000;
 
-// ERC20 ABI for token info
-const ERC20_ABI = [
-  "function decimals() external view returns (uint8)",
-  "function symbol() external view returns (string)",
-  "function name() external view returns (string)"
-];
+// Price impact thresholds, in percent, a ladder reports the crossing size of by default
+const LADDER_IMPACT_THRESHOLDS = [0.5, 1, 2, 5];
+
+// Most sizes in one ladder, and ladder quotes in flight at once
+const MAX_LADDER_STEPS = 50;
+const LADDER_CONCURRENCY = 3;
+
+// Token addresses by chain ID and symbol, from the token lists
+const TOKEN_ADDRESSES = Object.fromEntries(
+  tokenRegistry.getChainIds().map(chainId => [chainId, tokenRegistry.getTokenAddresses(chainId)])
+);
 
 /**
  * Find token addresses for a given chain name
@@ -113,39 +58,35 @@ function findTokensByChainName(chainName) {
     throw new Error(`Chain "${chainName}" not found. Available chains: ${Object.values(CHAIN_CONFIGS).map(c => c.name).join(', ')}`);
   }
   
-  const tokens = TOKEN_ADDRESSES[chainId] || {};
   return {
     chainId,
     chainName: CHAIN_CONFIGS[chainId].name,
-    tokens
+    tokens: tokenRegistry.getTokenAddresses(chainId)
   };
 }
 
 /**
  * Get token address by symbol for a specific chain
  * @param {string} chainName - Name of the blockchain
- * @param {string} symbol - Token symbol (e.g., "USDC", "WETH")
+ * @param {string} symbol - Token symbol (e.g., "USDC", "USDC.e", "USDbC"), matched exactly first and then ignoring case
  * @returns {string|null} Token address or null if not found
+ * @throws {Error} When the symbol matches several tokens on the chain
  */
 function getTokenAddress(chainName, symbol) {
-  const { tokens } = findTokensByChainName(chainName);
-  return tokens[symbol.toUpperCase()] || null;
+  const { chainId } = findTokensByChainName(chainName);
+  const token = findToken(symbol, { chainId });
+  return token ? token.address : null;
 }
 
 /**
- * Create a Token instance with fetched decimals
+ * Create a Token instance from the token metadata cache
  * @param {number} chainId - Chain ID
  * @param {string} address - Token address
- * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {ethers.providers.Provider} provider - Ethers provider, used when the token is not cached yet
  * @returns {Promise<Token>} Token instance
  */
 async function createToken(chainId, address, provider) {
-  const tokenContract = new ethers.Contract(address, ERC20_ABI, provider);
-  const [decimals, symbol, name] = await Promise.all([
-    tokenContract.decimals(),
-    tokenContract.symbol().catch(() => "Unknown"),
-    tokenContract.name().catch(() => "Unknown Token")
-  ]);
+  const { decimals, symbol, name } = await getTokenMetadataCache().get(chainId, address, provider);
   
   return new Token(
     chainId,
@@ -160,14 +101,34 @@ async function createToken(chainId, address, provider) {
  * Get price quote for a specific token pair on a given chain
  * @param {Object} params - Parameters for price query
  * @param {string} params.chainName - Name of the blockchain
- * @param {string} params.tokenInSymbol - Input token symbol (e.g., "USDC")
- * @param {string} params.tokenOutSymbol - Output token symbol (e.g., "WETH")
+ * @param {string} params.tokenInSymbol - Input token symbol (e.g., "USDC"), address or "chain:symbol"
+ * @param {string} params.tokenOutSymbol - Output token symbol (e.g., "WETH"), address or "chain:symbol"
  * @param {string} params.amount - Amount to trade
  * @param {string} [params.tradeType="exactIn"] - Trade type: "exactIn" or "exactOut"
+ * @param {string} [params.quoteMode="auto"] - "router" for the smart order router, "direct" for QuoterV2 over
+ *   explicit paths, "auto" for the router with QuoterV2 when it fails, finds no route or times out
+ * @param {number} [params.routerTimeout=10000] - Milliseconds the router gets in "auto" mode
+ * @param {Array<string>} [params.baseTokens] - Intermediate tokens of direct quote paths (see quoter.js)
+ * @param {Array<number>} [params.feeTiers] - Fee tiers of direct quote paths (see quoter.js)
+ * @param {Object} [params.options] - Quote options: slippageTolerance (percent, default 0.5), deadline (minutes,
+ *   default 20), protocols, maxHops, maxSplits and recipient (see quoteOptions.js)
  * @returns {Promise<Object>} Price quote information
  */
 async function getPriceForPair(params) {
-  const { chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType = "exactIn" } = params;
+  const { chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType = "exactIn", quoteMode = "auto" } = params;
+  
+  if (!QUOTE_MODES.includes(quoteMode)) {
+    throw new Error(`Invalid quoteMode "${quoteMode}". Use one of: ${QUOTE_MODES.join(', ')}`);
+  }
+  if (!["exactIn", "exactOut"].includes(tradeType)) {
+    throw new Error(`Invalid tradeType "${tradeType}". Use "exactIn" or "exactOut"`);
+  }
+  const options = parseQuoteOptions(params.options);
+  // Direct quotes only walk V3 pools, so they are skipped when V3 routes are not allowed
+  const directAllowed = !options.protocols || options.protocols.includes("V3");
+  if (quoteMode === "direct" && !directAllowed) {
+    throw new Error(`Direct quotes use V3 pools, but the protocols option only allows ${options.protocols.join(', ')}`);
+  }
   
   // Get chain configuration
   const chainData = findTokensByChainName(chainName);
@@ -178,71 +139,101 @@ async function getPriceForPair(params) {
     throw new Error(`Chain configuration not found for ${chainName}`);
   }
   
-  // Get token addresses
-  const tokenInAddress = getTokenAddress(chainName, tokenInSymbol);
-  const tokenOutAddress = getTokenAddress(chainName, tokenOutSymbol);
-  
-  if (!tokenInAddress) {
-    throw new Error(`Token ${tokenInSymbol} not found on ${chainName}`);
-  }
-  if (!tokenOutAddress) {
-    throw new Error(`Token ${tokenOutSymbol} not found on ${chainName}`);
-  }
+  // Resolve tokens; a symbol only matches that exact token, never another variant of it
+  const resolvedIn = resolveToken(tokenInSymbol, { chainId });
+  const resolvedOut = resolveToken(tokenOutSymbol, { chainId });
   
-  // Initialize provider and router
-  const provider = new ethers.providers.JsonRpcProvider(config.rpcUrl);
-  const router = new AlphaRouter({ chainId, provider });
+  // Shared provider and router of the chain, so the router's caches carry over between quotes
+  const { provider } = getChainContextRegistry().get(chainId);
   
   // Create token instances
-  const tokenIn = await createToken(chainId, tokenInAddress, provider);
-  const tokenOut = await createToken(chainId, tokenOutAddress, provider);
+  const tokenIn = await createToken(chainId, resolvedIn.address, provider);
+  const tokenOut = await createToken(chainId, resolvedOut.address, provider);
   
   // Prepare amount
   const decimals = tradeType === "exactIn" ? tokenIn.decimals : tokenOut.decimals;
   const amountWei = ethers.utils.parseUnits(amount, decimals).toString();
   
-  // Get route
-  const route = await router.route(
-    CurrencyAmount.fromRawAmount(
-      tradeType === "exactIn" ? tokenIn : tokenOut,
-      amountWei
-    ),
-    tradeType === "exactIn" ? tokenOut : tokenIn,
-    tradeType === "exactIn" ? TradeType.EXACT_INPUT : TradeType.EXACT_OUTPUT,
-    {
-      recipient: ethers.constants.AddressZero,
-      slippageTolerance: new Percent(5, 1000), // 0.5%
-      deadline: Math.floor(Date.now() / 1000) + 20 * 60, // 20 minutes
-      type: SwapType.SWAP_ROUTER_02,
+  const request = { chainId, chainName, tokenIn, tokenOut, amountWei, tradeType, options };
+  let quote = null;
+  let fallbackReason = null;
+  if (quoteMode !== "direct") {
+    try {
+      const routed = routerQuote(request);
+      quote = quoteMode === "auto"
+        ? await withTimeout(routed, params.routerTimeout || ROUTER_TIMEOUT_MS, "Smart order router timed out")
+        : await routed;
+    } catch (error) {
+      if (quoteMode === "router" || !directAllowed) throw error;
+      fallbackReason = error.message;
     }
-  );
-  
-  if (!route) {
-    throw new Error(`No route found for ${tokenInSymbol} -> ${tokenOutSymbol} on ${chainName}`);
+  }
+  if (!quote) {
+    quote = await directQuote({ ...request, provider, baseTokens: params.baseTokens, feeTiers: params.feeTiers });
   }
   
   // Format response
   return {
     chainName,
     chainId,
-    pair: `${tokenInSymbol}/${tokenOutSymbol}`,
+    pair: `${tokenIn.symbol}/${tokenOut.symbol}`,
     tokenIn: {
       symbol: tokenIn.symbol,
       address: tokenIn.address,
-      decimals: tokenIn.decimals
+      decimals: tokenIn.decimals,
+      variant: resolvedIn.variant
     },
     tokenOut: {
       symbol: tokenOut.symbol,
       address: tokenOut.address,
-      decimals: tokenOut.decimals
+      decimals: tokenOut.decimals,
+      variant: resolvedOut.variant
     },
     tradeType,
+    ...quote,
+    fallbackReason,
+    options
+  };
+}
+
+// Reject with `message` when a promise takes longer than `ms`
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${message} after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Quote through the chain's shared AlphaRouter
+async function routerQuote({ chainId, chainName, tokenIn, tokenOut, amountWei, tradeType, options }) {
+  const chainContexts = getChainContextRegistry();
+  const { router } = chainContexts.get(chainId);
+  const { swapOptions, routingConfig } = toRouterArgs(options);
+  
+  const route = await chainContexts.track(chainId, router.route(
+    CurrencyAmount.fromRawAmount(
+      tradeType === "exactIn" ? tokenIn : tokenOut,
+      amountWei
+    ),
+    tradeType === "exactIn" ? tokenOut : tokenIn,
+    tradeType === "exactIn" ? TradeType.EXACT_INPUT : TradeType.EXACT_OUTPUT,
+    swapOptions,
+    routingConfig
+  ));
+  
+  if (!route) {
+    throw new Error(`No route found for ${tokenIn.symbol} -> ${tokenOut.symbol} on ${chainName}`);
+  }
+  
+  return {
+    quoteSource: "router",
     price: route.trade.executionPrice.toSignificant(6),
     priceImpact: route.trade.priceImpact.toSignificant(2),
     inputAmount: route.trade.inputAmount.toSignificant(6),
     outputAmount: route.trade.outputAmount.toSignificant(6),
-    minimumReceived: route.trade.minimumAmountOut(new Percent(5, 1000)).toSignificant(6),
-    maximumInput: route.trade.maximumAmountIn(new Percent(5, 1000)).toSignificant(6),
+    minimumReceived: route.trade.minimumAmountOut(swapOptions.slippageTolerance).toSignificant(6),
+    maximumInput: route.trade.maximumAmountIn(swapOptions.slippageTolerance).toSignificant(6),
     route: route.trade.swaps.map(swap => ({
       tokenIn: swap.inputAmount.currency.address,
       tokenOut: swap.outputAmount.currency.address,
@@ -250,7 +241,339 @@ async function getPriceForPair(params) {
       protocol: swap.route.protocol
     })),
     estimatedGas: route.estimatedGasUsed.toString(),
-    estimatedGasPrice: route.gasPriceWei.toString()
+    estimatedGasPrice: route.gasPriceWei.toString(),
+    ...gasAdjustQuote({
+      chainId,
+      tradeType,
+      inputAmount: route.trade.inputAmount,
+      outputAmount: route.trade.outputAmount,
+      gasUsed: route.estimatedGasUsed,
+      gasPriceWei: route.gasPriceWei,
+      gasCostToken: route.estimatedGasUsedQuoteToken || null,
+      gasCostUSD: route.estimatedGasUsedUSD || null,
+      gasAdjustedAmount: route.quoteGasAdjusted || null
+    })
+  };
+}
+
+// Quote with QuoterV2 over the best V3 path, formatted like a router quote
+async function directQuote({ chainId, tokenIn, tokenOut, amountWei, tradeType, options, provider, baseTokens, feeTiers }) {
+  const [quote, gasPrice] = await Promise.all([
+    quoteDirect({
+      chainId,
+      tokenIn: tokenIn.address,
+      tokenOut: tokenOut.address,
+      amount: amountWei,
+      tradeType,
+      provider,
+      baseTokens,
+      feeTiers,
+      maxHops: Math.min(options.maxHops || 2, 2)
+    }),
+    provider.getGasPrice()
+  ]);
+  
+  const inputAmount = CurrencyAmount.fromRawAmount(tokenIn, quote.amountIn.toString());
+  const outputAmount = CurrencyAmount.fromRawAmount(tokenOut, quote.amountOut.toString());
+  // Same bounds as the SDK's Trade: exact input keeps its input, exact output keeps its output
+  const slippageFactor = new Fraction(1).add(slippagePercent(options));
+  const minimumReceived = tradeType === "exactIn"
+    ? CurrencyAmount.fromRawAmount(tokenOut, slippageFactor.invert().multiply(outputAmount.quotient).quotient)
+    : outputAmount;
+  const maximumInput = tradeType === "exactIn"
+    ? inputAmount
+    : CurrencyAmount.fromRawAmount(tokenIn, slippageFactor.multiply(inputAmount.quotient).quotient);
+  
+  return {
+    quoteSource: "quoter",
+    price: new Price(tokenIn, tokenOut, inputAmount.quotient, outputAmount.quotient).toSignificant(6),
+    priceImpact: quote.priceImpact.toSignificant(2),
+    inputAmount: inputAmount.toSignificant(6),
+    outputAmount: outputAmount.toSignificant(6),
+    minimumReceived: minimumReceived.toSignificant(6),
+    maximumInput: maximumInput.toSignificant(6),
+    route: quote.path.fees.map((fee, index) => ({
+      tokenIn: quote.path.tokens[index],
+      tokenOut: quote.path.tokens[index + 1],
+      fee,
+      protocol: "V3"
+    })),
+    estimatedGas: quote.gasEstimate.toString(),
+    estimatedGasPrice: gasPrice.toString(),
+    ...gasAdjustQuote({
+      chainId,
+      tradeType,
+      inputAmount,
+      outputAmount,
+      gasUsed: quote.gasEstimate,
+      gasPriceWei: gasPrice,
+      ...await priceGasCost(chainId, tradeType === "exactIn" ? tokenOut : tokenIn, quote.gasEstimate.mul(gasPrice))
+    })
+  };
+}
+
+// Gas cost in the quoted token and in USD from on-chain USD prices, for quotes the router did not price;
+// each is null when a price cannot be found
+async function priceGasCost(chainId, token, gasCostWei) {
+  const config = CHAIN_CONFIGS[chainId];
+  const isNative = token.address.toLowerCase() === config.weth.toLowerCase();
+  
+  // The chain's shared pricer, so pools and prices found for one quote serve the next
+  const pricer = getChainContextRegistry().getPricer(chainId);
+  const [nativePrice, tokenPrice] = await Promise.all([
+    pricer.getPrice(config.weth).catch(() => null),
+    isNative ? null : pricer.getPrice(token.address).catch(() => null)
+  ]);
+  
+  const gasCostUSD = nativePrice ? amountToUSD(gasCostWei, 18, nativePrice.priceUSD) : null;
+  let gasCostToken = null;
+  if (isNative) {
+    gasCostToken = CurrencyAmount.fromRawAmount(token, gasCostWei.toString());
+  } else if (gasCostUSD !== null && tokenPrice && tokenPrice.priceUSD > 0) {
+    const raw = gasCostUSD * 10n ** BigInt(token.decimals) / toFixedPoint(tokenPrice.priceUSD);
+    gasCostToken = CurrencyAmount.fromRawAmount(token, raw.toString());
+  }
+  return {
+    gasCostToken,
+    gasCostUSD: gasCostUSD !== null ? new Fraction(gasCostUSD.toString(), (10n ** BigInt(USD_DECIMALS)).toString()) : null
+  };
+}
+
+/**
+ * Gas cost of a quote in the native token, the quoted token and USD, and the
+ * trade after paying for gas. Gas is charged to the side the trade does not
+ * fix: the output of an exactIn trade, the input of an exactOut trade.
+ * @param {Object} params - Quote amounts and gas
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tradeType - "exactIn" or "exactOut"
+ * @param {CurrencyAmount} params.inputAmount - Quoted input
+ * @param {CurrencyAmount} params.outputAmount - Quoted output
+ * @param {ethers.BigNumber|string} params.gasUsed - Estimated gas units
+ * @param {ethers.BigNumber|string} params.gasPriceWei - Gas price in wei
+ * @param {CurrencyAmount|null} params.gasCostToken - Gas cost in the output token (exactIn) or input token (exactOut)
+ * @param {Fraction|null} params.gasCostUSD - Gas cost in USD
+ * @param {CurrencyAmount|null} [params.gasAdjustedAmount] - The router's gas-adjusted quote, used instead of
+ *   subtracting or adding gasCostToken
+ * @returns {Object} gasCost (native, nativeSymbol, token, tokenSymbol, usd), netInputAmount, netOutputAmount
+ *   and effectivePrice; the last three are null when gas could not be priced in the token
+ */
+function gasAdjustQuote(params) {
+  const { chainId, tradeType, inputAmount, outputAmount, gasCostToken, gasCostUSD } = params;
+  const config = CHAIN_CONFIGS[chainId];
+  const gasCostWei = ethers.BigNumber.from(params.gasUsed).mul(params.gasPriceWei);
+  
+  let netInput = null;
+  let netOutput = null;
+  if (gasCostToken) {
+    const adjusted = params.gasAdjustedAmount
+      || (tradeType === "exactIn" ? outputAmount.subtract(gasCostToken) : inputAmount.add(gasCostToken));
+    netInput = tradeType === "exactIn" ? inputAmount : adjusted;
+    netOutput = tradeType === "exactIn" ? adjusted : outputAmount;
+  }
+  // No price once gas costs more than the whole output
+  const positive = netOutput !== null && netOutput.greaterThan(0);
+  
+  return {
+    gasCost: {
+      native: new Fraction(gasCostWei.toString(), ethers.constants.WeiPerEther.toString()).toSignificant(6),
+      nativeSymbol: config.nativeSymbol,
+      token: gasCostToken ? gasCostToken.toSignificant(6) : null,
+      tokenSymbol: gasCostToken ? gasCostToken.currency.symbol : null,
+      usd: gasCostUSD ? gasCostUSD.toSignificant(4) : null
+    },
+    netInputAmount: netInput ? netInput.toSignificant(6) : null,
+    netOutputAmount: netOutput ? netOutput.toSignificant(6) : null,
+    effectivePrice: positive
+      ? new Price(inputAmount.currency, outputAmount.currency, netInput.quotient, netOutput.quotient).toSignificant(6)
+      : null
+  };
+}
+
+/**
+ * Validate a ladder's sizes or range and return its trade sizes: the given
+ * list, or `steps` sizes spaced geometrically from `from` to `to`
+ * @param {Object} params - sizes (array) or range ({ from, to, steps })
+ * @returns {Array<number>} Distinct sizes, ascending, to 6 significant digits
+ */
+function ladderSizes({ sizes, range }) {
+  if (sizes && range) {
+    throw new Error("Pass either sizes or range, not both");
+  }
+  let values;
+  if (sizes) {
+    values = sizes.map(Number);
+  } else if (range) {
+    const from = Number(range.from);
+    const to = Number(range.to);
+    const steps = range.steps === undefined ? 10 : Number(range.steps);
+    if (!(from > 0) || !(to > from)) {
+      throw new Error(`A range needs 0 < from < to, got ${range.from} to ${range.to}`);
+    }
+    if (!Number.isInteger(steps) || steps < 2) {
+      throw new Error(`A range needs at least 2 steps, got ${range.steps}`);
+    }
+    const ratio = Math.pow(to / from, 1 / (steps - 1));
+    values = Array.from({ length: steps }, (_, index) => (index === steps - 1 ? to : from * Math.pow(ratio, index)));
+  } else {
+    throw new Error("A ladder needs sizes or a range");
+  }
+
+  if (values.length === 0 || values.length > MAX_LADDER_STEPS) {
+    throw new Error(`A ladder needs 1 to ${MAX_LADDER_STEPS} sizes, got ${values.length}`);
+  }
+  const invalid = values.find(value => !(value > 0) || !Number.isFinite(value));
+  if (invalid !== undefined) {
+    throw new Error(`Ladder sizes must be positive numbers, got ${invalid}`);
+  }
+  return [...new Set(values.map(value => Number(value.toPrecision(6))))].sort((a, b) => a - b);
+}
+
+/**
+ * Largest ladder size within each price impact threshold, and the first size
+ * past it. Failed quotes are skipped
+ * @param {Array<Object>} steps - Ladder steps, ascending by size, with success, size and priceImpact
+ * @param {Array<number>} impactThresholds - Thresholds in percent
+ * @returns {Array<Object>} Per threshold, ascending: impact, crossed, maxSizeWithin and crossedAtSize
+ */
+function thresholdCrossings(steps, impactThresholds) {
+  const quoted = steps.filter(step => step.success);
+  return [...impactThresholds].map(Number).sort((a, b) => a - b).map(threshold => {
+    const index = quoted.findIndex(step => Number(step.priceImpact) > threshold);
+    const within = index === -1 ? quoted[quoted.length - 1] : quoted[index - 1];
+    return {
+      impact: threshold,
+      crossed: index !== -1,
+      maxSizeWithin: within ? within.size : null,
+      crossedAtSize: index !== -1 ? quoted[index].size : null
+    };
+  });
+}
+
+// A size as a decimal string parseUnits accepts for a token with `decimals` decimals
+function formatAmount(value, decimals) {
+  const fractionDigits = Math.max(0, 6 - Math.floor(Math.log10(value)) - 1);
+  return Number(value.toPrecision(6)).toFixed(Math.min(decimals, fractionDigits));
+}
+
+/**
+ * Quote a pair at a ladder of trade sizes, to see how price impact grows with
+ * size and where it crosses given thresholds
+ * @param {Object} params - Parameters for the ladder
+ * @param {string} params.chainName - Name of the blockchain
+ * @param {string} params.tokenInSymbol - Input token symbol, address or "chain:symbol"
+ * @param {string} params.tokenOutSymbol - Output token symbol, address or "chain:symbol"
+ * @param {string} [params.tradeType="exactIn"] - "exactIn" sizes the input, "exactOut" the output
+ * @param {Array<number|string>} [params.sizes] - Trade sizes to quote
+ * @param {Object} [params.range] - Geometric range of sizes instead: { from, to, steps = 10 }
+ * @param {string} [params.sizeUnit="token"] - "token" for sizes in the sized token, "usd" for sizes in US dollars
+ * @param {Array<number>} [params.impactThresholds=[0.5, 1, 2, 5]] - Price impact thresholds in percent
+ * @param {string} [params.quoteMode] - Passed to getPriceForPair, as are routerTimeout, baseTokens, feeTiers and options
+ * @returns {Promise<Object>} Pair, the quote at each size (steps) and the size crossing each threshold (thresholds)
+ */
+async function getPriceLadder(params) {
+  const { chainName, tokenInSymbol, tokenOutSymbol, tradeType = "exactIn", sizeUnit = "token" } = params;
+  const impactThresholds = params.impactThresholds || LADDER_IMPACT_THRESHOLDS;
+  
+  if (!["token", "usd"].includes(sizeUnit)) {
+    throw new Error(`Invalid sizeUnit "${sizeUnit}". Use "token" or "usd"`);
+  }
+  if (!["exactIn", "exactOut"].includes(tradeType)) {
+    throw new Error(`Invalid tradeType "${tradeType}". Use "exactIn" or "exactOut"`);
+  }
+  if (impactThresholds.some(threshold => !(Number(threshold) > 0))) {
+    throw new Error(`Impact thresholds must be positive percentages, got ${impactThresholds.join(', ')}`);
+  }
+  const sizes = ladderSizes(params);
+  const options = parseQuoteOptions(params.options);
+  
+  const { chainId } = findTokensByChainName(chainName);
+  const { provider } = getChainContextRegistry().get(chainId);
+  const sized = resolveToken(tradeType === "exactIn" ? tokenInSymbol : tokenOutSymbol, { chainId });
+  const sizedToken = await createToken(chainId, sized.address, provider);
+  
+  // USD sizes are converted at the sized token's on-chain USD price
+  let tokenPriceUSD = null;
+  if (sizeUnit === "usd") {
+    const usdPrice = await getChainContextRegistry().getPricer(chainId).getPrice(sizedToken.address);
+    if (!usdPrice || !(usdPrice.priceUSD > 0)) {
+      throw new Error(`No USD price found for ${sizedToken.symbol} on ${chainName}; pass sizes in token units instead`);
+    }
+    tokenPriceUSD = usdPrice.priceUSD;
+  }
+  
+  const quoteOptions = {
+    quoteMode: params.quoteMode,
+    routerTimeout: params.routerTimeout,
+    baseTokens: params.baseTokens,
+    feeTiers: params.feeTiers,
+    options
+  };
+  const quoteSize = async size => {
+    const amount = formatAmount(sizeUnit === "usd" ? size / tokenPriceUSD : size, sizedToken.decimals);
+    const step = { size, amount, sizeUSD: tokenPriceUSD !== null ? size : null };
+    try {
+      const quote = await getPriceForPair({ chainName, tokenInSymbol, tokenOutSymbol, amount, tradeType, ...quoteOptions });
+      return {
+        ...step,
+        success: true,
+        price: quote.price,
+        priceImpact: quote.priceImpact,
+        inputAmount: quote.inputAmount,
+        outputAmount: quote.outputAmount,
+        netInputAmount: quote.netInputAmount,
+        netOutputAmount: quote.netOutputAmount,
+        effectivePrice: quote.effectivePrice,
+        gasCostUSD: quote.gasCost.usd,
+        route: quote.route,
+        quoteSource: quote.quoteSource,
+        error: null,
+        quote
+      };
+    } catch (error) {
+      return { ...step, success: false, error: error.message };
+    }
+  };
+  
+  const results = [];
+  for (let i = 0; i < sizes.length; i += LADDER_CONCURRENCY) {
+    results.push(...await Promise.all(sizes.slice(i, i + LADDER_CONCURRENCY).map(quoteSize)));
+  }
+  const first = results.find(step => step.success);
+  if (!first) {
+    throw new Error(`No size of ${tokenInSymbol} -> ${tokenOutSymbol} on ${chainName} could be quoted: ${results[0].error}`);
+  }
+  
+  const thresholds = thresholdCrossings(results, impactThresholds);
+  
+  const { quote } = first;
+  return {
+    chainName,
+    chainId,
+    pair: quote.pair,
+    tokenIn: quote.tokenIn,
+    tokenOut: quote.tokenOut,
+    tradeType,
+    sizeUnit,
+    sizedToken: sizedToken.symbol,
+    tokenPriceUSD,
+    steps: results.map(({ quote, ...step }) => step),
+    thresholds,
+    options
+  };
+}
+
+// Token from the registry as returned by the lookup functions
+function describeToken(token, chainName) {
+  return {
+    symbol: token.symbol,
+    address: token.address,
+    chainId: token.chainId,
+    chainName,
+    name: token.name,
+    decimals: token.decimals,
+    logoURI: token.logoURI,
+    tags: token.tags,
+    bridgeInfo: token.bridgeInfo
   };
 }
 
@@ -260,14 +583,8 @@ async function getPriceForPair(params) {
  * @returns {Array<Object>} Array of token information
  */
 function getAllTokensForChain(chainName) {
-  const { chainId, tokens } = findTokensByChainName(chainName);
-  
-  return Object.entries(tokens).map(([symbol, address]) => ({
-    symbol,
-    address,
-    chainId,
-    chainName
-  }));
+  const { chainId, chainName: name } = findTokensByChainName(chainName);
+  return tokenRegistry.getTokens(chainId).map(token => describeToken(token, name));
 }
 
 /**
@@ -280,22 +597,17 @@ function searchTokens(query, chainName = null) {
   const results = [];
   const searchQuery = query.toUpperCase();
   
-  for (const [chainId, tokens] of Object.entries(TOKEN_ADDRESSES)) {
+  for (const chainId of tokenRegistry.getChainIds()) {
     const chain = CHAIN_CONFIGS[chainId];
     
-    // Skip if chainName filter is provided and doesn't match
-    if (chainName && chain.name.toLowerCase() !== chainName.toLowerCase()) {
+    // Skip chains without a configuration, and chains not matching the chainName filter
+    if (!chain || (chainName && chain.name.toLowerCase() !== chainName.toLowerCase())) {
       continue;
     }
     
-    for (const [symbol, address] of Object.entries(tokens)) {
-      if (symbol.includes(searchQuery)) {
-        results.push({
-          symbol,
-          address,
-          chainId: parseInt(chainId),
-          chainName: chain.name
-        });
+    for (const token of tokenRegistry.getTokens(chainId)) {
+      if (token.symbol.toUpperCase().includes(searchQuery)) {
+        results.push(describeToken(token, chain.name));
       }
     }
   }
@@ -307,8 +619,13 @@ module.exports = {
   findTokensByChainName,
   getTokenAddress,
   getPriceForPair,
+  getPriceLadder,
+  ladderSizes,
+  thresholdCrossings,
   getAllTokensForChain,
   searchTokens,
   TOKEN_ADDRESSES,
-  createToken
+  createToken,
+  gasAdjustQuote,
+  QUOTE_MODES
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// chainConfigs.js needs an RPC key to load; nothing here makes RPC calls
+process.env.INFURA_KEY = process.env.INFURA_KEY || "test";
+
+const { Token, CurrencyAmount, Fraction } = require("@uniswap/sdk-core");
+const { ladderSizes, thresholdCrossings, gasAdjustQuote } = require('./tokenUtils');
+
+const WETH = new Token(1, "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", 18, "WETH");
+const USDC = new Token(1, "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", 6, "USDC");
+const weth = amount => CurrencyAmount.fromRawAmount(WETH, (BigInt(amount) * 10n ** 18n).toString());
+const usdc = amount => CurrencyAmount.fromRawAmount(USDC, (BigInt(amount) * 10n ** 6n).toString());
+
+// 100k gas at 20 gwei is 0.002 ETH, $4 at $2000
+const gas = { chainId: 1, gasUsed: "100000", gasPriceWei: "20000000000", gasCostUSD: new Fraction(4) };
+
+test('ladderSizes sorts and deduplicates given sizes', () => {
+  assert.deepEqual(ladderSizes({ sizes: [1000, "10", 100, 10] }), [10, 100, 1000]);
+  assert.deepEqual(ladderSizes({ sizes: [1 / 3] }), [0.333333]);
+});
+
+test('ladderSizes spaces a range geometrically and ends on `to`', () => {
+  assert.deepEqual(ladderSizes({ range: { from: 1, to: 1000, steps: 4 } }), [1, 10, 100, 1000]);
+  assert.equal(ladderSizes({ range: { from: 1, to: 2 } }).length, 10);
+});
+
+test('ladderSizes rejects invalid ladders', () => {
+  assert.throws(() => ladderSizes({}), /needs sizes or a range/);
+  assert.throws(() => ladderSizes({ sizes: [1], range: { from: 1, to: 2 } }), /either sizes or range/);
+  assert.throws(() => ladderSizes({ sizes: [] }), /A ladder needs 1 to \d+ sizes, got 0/);
+  assert.throws(() => ladderSizes({ sizes: [10, -1] }), /must be positive numbers, got -1/);
+  assert.throws(() => ladderSizes({ sizes: ["abc"] }), /must be positive numbers, got NaN/);
+  assert.throws(() => ladderSizes({ range: { from: 10, to: 1 } }), /0 < from < to/);
+  assert.throws(() => ladderSizes({ range: { from: 1, to: 10, steps: 1 } }), /at least 2 steps/);
+});
+
+test('thresholdCrossings finds the last size within and the first past each threshold', () => {
+  const steps = [
+    { size: 10, success: true, priceImpact: "0.1" },
+    { size: 100, success: true, priceImpact: "0.8" },
+    { size: 1000, success: false, priceImpact: null },
+    { size: 10000, success: true, priceImpact: "3.5" }
+  ];
+  assert.deepEqual(thresholdCrossings(steps, [5, 0.5, 2, 0.05]), [
+    { impact: 0.05, crossed: true, maxSizeWithin: null, crossedAtSize: 10 },
+    { impact: 0.5, crossed: true, maxSizeWithin: 10, crossedAtSize: 100 },
+    // The failed quote at 1000 is skipped
+    { impact: 2, crossed: true, maxSizeWithin: 100, crossedAtSize: 10000 },
+    { impact: 5, crossed: false, maxSizeWithin: 10000, crossedAtSize: null }
+  ]);
+});
+
+test('gasAdjustQuote takes gas from the output of an exactIn trade', () => {
+  const result = gasAdjustQuote({ ...gas, tradeType: "exactIn", inputAmount: weth(1), outputAmount: usdc(2000), gasCostToken: usdc(4) });
+  assert.deepEqual(result.gasCost, { native: "0.002", nativeSymbol: "ETH", token: "4", tokenSymbol: "USDC", usd: "4" });
+  assert.equal(result.netInputAmount, "1");
+  assert.equal(result.netOutputAmount, "1996");
+  assert.equal(result.effectivePrice, "1996");
+});
+
+test('gasAdjustQuote adds gas to the input of an exactOut trade', () => {
+  const result = gasAdjustQuote({ ...gas, tradeType: "exactOut", inputAmount: usdc(2000), outputAmount: weth(1), gasCostToken: usdc(4) });
+  assert.equal(result.netInputAmount, "2004");
+  assert.equal(result.netOutputAmount, "1");
+  assert.equal(result.effectivePrice, "0.000499002");
+});
+
+test('gasAdjustQuote prefers the router\'s gas-adjusted amount', () => {
+  const result = gasAdjustQuote({
+    ...gas, tradeType: "exactIn", inputAmount: weth(1), outputAmount: usdc(2000), gasCostToken: usdc(4), gasAdjustedAmount: usdc(1995)
+  });
+  assert.equal(result.netOutputAmount, "1995");
+});
+
+test('gasAdjustQuote leaves net amounts empty when gas cannot be priced or exceeds the output', () => {
+  const unpriced = gasAdjustQuote({ ...gas, tradeType: "exactIn", inputAmount: weth(1), outputAmount: usdc(2000), gasCostToken: null, gasCostUSD: null });
+  assert.equal(unpriced.gasCost.native, "0.002");
+  assert.equal(unpriced.gasCost.usd, null);
+  assert.equal(unpriced.netOutputAmount, null);
+  assert.equal(unpriced.effectivePrice, null);
+
+  const dust = gasAdjustQuote({ ...gas, tradeType: "exactIn", inputAmount: weth(1), outputAmount: usdc(2), gasCostToken: usdc(4) });
+  assert.equal(dust.netOutputAmount, "-2");
+  assert.equal(dust.effectivePrice, null);
+});
@@ -0,0 +1,204 @@
+const CHAIN_CONFIGS = require('./chainConfigs');
+
+// Contracts deployed at the same address on most supported chains
+const GLOBAL_ADDRESSES = {
+  "0xE592427A0AEce92De3Edee1F18E0157C05861564": { type: "router", label: "Uniswap SwapRouter" },
+  "0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45": { type: "router", label: "Uniswap SwapRouter02" },
+  "0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD": { type: "router", label: "Uniswap UniversalRouter" },
+  "0x1111111254EEB25477B68fb85Ed929f73A960582": { type: "aggregator", label: "1inch v5" },
+  "0x111111125421cA6dc452d289314280a0f8842A65": { type: "aggregator", label: "1inch v6" },
+  "0xDEF171Fe48CF0115B1d80b88dc8eAB59176FEe57": { type: "aggregator", label: "ParaSwap v5" },
+  "0x6A000F20005980200259B80c5102003040001068": { type: "aggregator", label: "ParaSwap v6.2" },
+  "0x9008D19f58AAbD9eD0D60971565AA8510560ab41": { type: "aggregator", label: "CoW Protocol" },
+  "0xDef1C0ded9bec7F1a1670819833240f027b25EfF": { type: "aggregator", label: "0x Exchange Proxy" },
+  "0x6131B5fae19EA4f9D964eAc0408E4408b66337b5": { type: "aggregator", label: "KyberSwap" },
+  "0x6352a56caadC4F1E25CD6c75970Fa768A3304e64": { type: "aggregator", label: "OpenOcean" }
+};
+
+// Chain-specific routers, aggregators and known MEV searchers. Only Ethereum has
+// an MEV list so far; see hasMevList
+const CHAIN_ADDRESSES = {
+  1: {
+    "0x66a9893cC07D91D95644AEDD05D03f95e1dBA8Af": { type: "router", label: "Uniswap UniversalRouter v2" },
+    "0xCf5540fFFCdC3d510B18bFcA6d2b9987b0772559": { type: "aggregator", label: "Odos v2" },
+    "0xae2Fc483527B8EF99EB5D9B44875F005ba1FaE13": { type: "mev", label: "jaredfromsubway.eth" },
+    "0x6b75d8AF000000e20B7a7DDf000Ba900b4009A80": { type: "mev", label: "jaredfromsubway.eth bot" }
+  },
+  10: {
+    "0x851116D9223fabED8E56C0E6b8Ad0c31d98B3507": { type: "router", label: "Uniswap UniversalRouter v2" },
+    "0xDEF1ABE32c034e558Cdd535791643C58a13aCC10": { type: "aggregator", label: "0x Exchange Proxy" },
+    "0xCa423977156BB05b13A2BA3b76Bc5419E2fE9680": { type: "aggregator", label: "Odos v2" }
+  },
+  137: {
+    "0xec7BE89e9d109e7e3Fec59c222CF297125FEFda2": { type: "router", label: "Uniswap UniversalRouter" },
+    "0x1095692A6237d83C6a72F3F5eFEdb9A670C49223": { type: "router", label: "Uniswap UniversalRouter v2" }
+  },
+  42161: {
+    "0xA51afAFe0263b40EdaEf0Df8781eA9aa03E381a3": { type: "router", label: "Uniswap UniversalRouter v2" },
+    "0xa669e7A0d4b3e4Fa48af2dE86BD4CD7126Be4e13": { type: "aggregator", label: "Odos v2" }
+  },
+  42220: {
+    "0x5615CDAb10dc425a742d643d949a7F474C01abc4": { type: "router", label: "Uniswap SwapRouter02" },
+    "0x643770E279d5D0733F21d6DC03A8efbABf3255B4": { type: "router", label: "Uniswap UniversalRouter" },
+    "0xcb695bc5D3Aa22cAD1E6DF07801b061a05A0233A": { type: "router", label: "Uniswap UniversalRouter v2" }
+  },
+  56: {
+    "0xB971eF87ede563556b2ED4b1C0b0019111Dd85d2": { type: "router", label: "Uniswap SwapRouter02" },
+    "0x4Dae2f939ACf50408e13d58534Ff8c2776d45265": { type: "router", label: "Uniswap UniversalRouter" },
+    "0x1906c1d672b88cD1B9aC7593301cA990F94Eae07": { type: "router", label: "Uniswap UniversalRouter v2" }
+  },
+  43114: {
+    "0xbb00FF08d01D300023C629E8fFfFcb65A5a578cE": { type: "router", label: "Uniswap SwapRouter02" },
+    "0x4Dae2f939ACf50408e13d58534Ff8c2776d45265": { type: "router", label: "Uniswap UniversalRouter" },
+    "0x94b75331AE8d42C1b61065089B7d48FE14aA73b7": { type: "router", label: "Uniswap UniversalRouter v2" }
+  },
+  8453: {
+    "0x2626664c2603336E57B271c5C0b26F421741e481": { type: "router", label: "Uniswap SwapRouter02" },
+    "0x6fF5693b99212Da76ad316178A184AB56D299b43": { type: "router", label: "Uniswap UniversalRouter v2" },
+    "0x19cEeAd7105607Cd444F5ad10dd51356436095a1": { type: "aggregator", label: "Odos v2" }
+  },
+  130: {
+    "0x73855d06DE49d0fe4A9c42636Ba96c62da12FF9C": { type: "router", label: "Uniswap SwapRouter02" },
+    "0xEf740bf23aCaE26f6492B10de645D6B98dC8Eaf3": { type: "router", label: "Uniswap UniversalRouter v2" }
+  }
+};
+
+// Top traders reported by default
+const DEFAULT_TOP_TRADERS = 10;
+
+const TRADER_TYPES = ["router", "aggregator", "mev", "contract"];
+
+/**
+ * Build the lookup of labeled addresses for a chain, including its configured swap router
+ * @param {number} chainId - Chain ID
+ * @returns {Map<string, Object>} Lowercase address to { type, label }
+ */
+function getKnownAddresses(chainId) {
+  const known = new Map();
+  const add = entries => {
+    for (const [address, info] of Object.entries(entries)) known.set(address.toLowerCase(), info);
+  };
+  add(GLOBAL_ADDRESSES);
+  const config = CHAIN_CONFIGS[chainId];
+  if (config && config.swapRouter) {
+    known.set(config.swapRouter.toLowerCase(), { type: "router", label: `${config.name} swap router` });
+  }
+  add(CHAIN_ADDRESSES[chainId] || {});
+  return known;
+}
+
+/**
+ * Whether any MEV addresses are listed for a chain; without them the bot share
+ * cannot be measured and is reported as null rather than 0
+ * @param {number} chainId - Chain ID
+ * @returns {boolean} True when CHAIN_ADDRESSES has an MEV entry for the chain
+ */
+function hasMevList(chainId) {
+  return Object.values(CHAIN_ADDRESSES[chainId] || {}).some(info => info.type === "mev");
+}
+
+/**
+ * Classify a swap by the addresses involved. Known MEV addresses win over
+ * routers and aggregators; a swap sent through any other contract is a
+ * "contract" swap. That may be a bot, but also a router or aggregator missing
+ * from the address lists, which cover some chains better than others.
+ * @param {Map<string, Object>} known - Labeled addresses from getKnownAddresses
+ * @param {Object} swap - Swap event sender and the transaction's from and to
+ * @returns {Object} { type, label }
+ */
+function classifySwap(known, { sender, from, to }) {
+  const labels = [from, to, sender]
+    .filter(Boolean)
+    .map(address => known.get(address.toLowerCase()))
+    .filter(Boolean);
+
+  for (const type of ["mev", "aggregator", "router"]) {
+    const match = labels.find(info => info.type === type);
+    if (match) return match;
+  }
+  return { type: "contract", label: null };
+}
+
+/**
+ * Attribute swaps to the externally owned accounts that sent them
+ * @param {Array<Object>} trades - One entry per swap: transactionHash, sender (Swap event), usd and isBuy
+ * @param {Object} options - Attribution options
+ * @param {number} options.chainId - Chain ID
+ * @param {Object} options.transactions - Map of transaction hash to { from, to }, from the event store
+ * @param {number} [options.topTraders=10] - Number of top traders to return
+ * @returns {Object} Unique traders, buyers and sellers, volume by type, bot and unlabeled contract shares and top traders;
+ *   botVolumeShare is null when the chain has no MEV address list
+ */
+function summarizeTraders(trades, options) {
+  const { chainId, transactions, topTraders = DEFAULT_TOP_TRADERS } = options;
+  const known = getKnownAddresses(chainId);
+
+  const traders = new Map();
+  const buyers = new Set();
+  const sellers = new Set();
+  const volumeByType = Object.fromEntries(TRADER_TYPES.map(type => [type, 0]));
+  let totalVolume = 0;
+  let unresolved = 0;
+
+  for (const trade of trades) {
+    const tx = transactions[trade.transactionHash];
+    if (!tx) unresolved++;
+    // Fall back to the Swap event sender when the transaction could not be fetched
+    const trader = tx ? tx.from : trade.sender;
+    const { type, label } = classifySwap(known, { sender: trade.sender, from: tx && tx.from, to: tx && tx.to });
+
+    const key = trader.toLowerCase();
+    if (!traders.has(key)) {
+      traders.set(key, { address: trader, volumeUSD: 0, buyVolumeUSD: 0, sellVolumeUSD: 0, swaps: 0, volumeByType: {}, labels: {} });
+    }
+    const entry = traders.get(key);
+    entry.volumeUSD += trade.usd;
+    entry.swaps++;
+    entry.volumeByType[type] = (entry.volumeByType[type] || 0) + trade.usd;
+    if (label) entry.labels[type] = label;
+    if (trade.isBuy) {
+      entry.buyVolumeUSD += trade.usd;
+      buyers.add(key);
+    } else {
+      entry.sellVolumeUSD += trade.usd;
+      sellers.add(key);
+    }
+
+    volumeByType[type] += trade.usd;
+    totalVolume += trade.usd;
+  }
+
+  const top = [...traders.values()]
+    .sort((a, b) => b.volumeUSD - a.volumeUSD)
+    .slice(0, topTraders)
+    .map(({ volumeByType: byType, labels, ...trader }) => {
+      // The route that carried most of this trader's volume
+      const type = Object.entries(byType).sort((a, b) => b[1] - a[1])[0][0];
+      return { ...trader, type, via: labels[type] || null };
+    });
+
+  // Unlabeled contracts are kept out of the bot share, since unlisted routers land there too
+  const share = volume => (totalVolume > 0 ? volume / totalVolume * 100 : 0);
+  const mevAddressesKnown = hasMevList(chainId);
+  return {
+    uniqueTraders: traders.size,
+    buyers: buyers.size,
+    sellers: sellers.size,
+    volumeByType,
+    botVolumeShare: mevAddressesKnown ? share(volumeByType.mev) : null,
+    mevAddressesKnown,
+    contractVolumeShare: share(volumeByType.contract),
+    topTraders: top,
+    unresolvedSwaps: unresolved
+  };
+}
+
+module.exports = {
+  summarizeTraders,
+  classifySwap,
+  getKnownAddresses,
+  hasMevList,
+  GLOBAL_ADDRESSES,
+  CHAIN_ADDRESSES,
+  TRADER_TYPES
+};
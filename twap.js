@@ -0,0 +1,194 @@
+const { ethers } = require("ethers");
+
+const { getChainConfig, parseWindow, ERC20_ABI } = require('./poolAnalytics');
+const { sqrtPriceX96ToPrice, tickToPrice, invertPrice, toNumber } = require('./poolMath');
+
+const ORACLE_POOL_ABI = [
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)",
+  "function observations(uint256 index) view returns (uint32 blockTimestamp, int56 tickCumulative, uint160 secondsPerLiquidityCumulativeX128, bool initialized)"
+];
+
+const DEFAULT_WINDOWS = ["5m", "30m", "1h", "24h"];
+
+// Sub-intervals used to measure realized volatility within each window
+const DEFAULT_VOLATILITY_SAMPLES = 24;
+
+const SECONDS_PER_YEAR = 365 * 86400;
+const LN_TICK_BASE = Math.log(1.0001);
+
+// Integer division rounding toward negative infinity, like OracleLibrary.consult
+function floorDiv(a, b) {
+  const q = a / b;
+  return (a % b !== 0n && (a < 0n) !== (b < 0n)) ? q - 1n : q;
+}
+
+/**
+ * Read the oldest available observation to know how far back observe() can reach
+ * @param {ethers.Contract} pool - Pool contract
+ * @param {Object} slot0 - Pool slot0
+ * @returns {Promise<number>} Timestamp of the oldest observation
+ */
+async function getOldestObservationTimestamp(pool, slot0) {
+  const { observationIndex, observationCardinality } = slot0;
+  // The slot after the newest one holds the oldest observation once the ring buffer has wrapped
+  let oldest = await pool.observations((observationIndex + 1) % observationCardinality);
+  if (!oldest.initialized) {
+    oldest = await pool.observations(0);
+  }
+  return oldest.blockTimestamp;
+}
+
+/**
+ * Compute the TWAP, harmonic-mean liquidity and realized volatility for one window
+ */
+async function observeWindow(pool, windowSeconds, samples, decimals0, decimals1) {
+  const step = Math.max(1, Math.floor(windowSeconds / samples));
+  const secondsAgos = [];
+  for (let ago = windowSeconds; ago > 0; ago -= step) secondsAgos.push(ago);
+  secondsAgos.push(0);
+
+  const { tickCumulatives, secondsPerLiquidityCumulativeX128s } = await pool.observe(secondsAgos);
+  const tickCums = tickCumulatives.map(value => BigInt(value.toString()));
+  const splCums = secondsPerLiquidityCumulativeX128s.map(value => BigInt(value.toString()));
+  const last = secondsAgos.length - 1;
+
+  const twapTick = Number(floorDiv(tickCums[last] - tickCums[0], BigInt(windowSeconds)));
+  const token0Price = toNumber(tickToPrice(twapTick, decimals0, decimals1));
+
+  // Harmonic mean liquidity: window / Δ(seconds per liquidity), with the X128 scaling removed
+  const splDelta = splCums[last] - splCums[0];
+  const harmonicMeanLiquidity = splDelta > 0n
+    ? ((BigInt(windowSeconds) << 128n) / splDelta).toString()
+    : null;
+
+  // Log returns between the average prices of consecutive sub-intervals
+  const intervalTicks = [];
+  for (let i = 1; i < secondsAgos.length; i++) {
+    const seconds = secondsAgos[i - 1] - secondsAgos[i];
+    intervalTicks.push(Number(tickCums[i] - tickCums[i - 1]) / seconds);
+  }
+  const returns = [];
+  for (let i = 1; i < intervalTicks.length; i++) {
+    returns.push((intervalTicks[i] - intervalTicks[i - 1]) * LN_TICK_BASE);
+  }
+
+  let volatility = null;
+  if (returns.length > 1) {
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    volatility = {
+      perInterval: Math.sqrt(variance) * 100,
+      annualized: Math.sqrt(variance * SECONDS_PER_YEAR / step) * 100,
+      intervalSeconds: step,
+      samples: returns.length
+    };
+  }
+
+  return {
+    tick: twapTick,
+    token0Price,
+    token1Price: 1 / token0Price,
+    harmonicMeanLiquidity,
+    volatility
+  };
+}
+
+/**
+ * Get time-weighted average prices from a V3 pool's built-in oracle
+ * @param {Object} params - Parameters for the TWAP query
+ * @param {number} params.chainId - Chain ID of the pool
+ * @param {string} params.poolAddress - Uniswap V3 pool address
+ * @param {Array<string|number>} [params.windows=["5m", "30m", "1h", "24h"]] - TWAP windows
+ * @param {number} [params.samples=24] - Sub-intervals per window for realized volatility
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @returns {Promise<Object>} Spot price, oracle coverage and one result per window
+ */
+async function getPoolTwap(params) {
+  const { chainId, windows = DEFAULT_WINDOWS, samples = DEFAULT_VOLATILITY_SAMPLES } = params;
+  const config = getChainConfig(chainId);
+  const poolAddress = ethers.utils.getAddress(params.poolAddress);
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const pool = new ethers.Contract(poolAddress, ORACLE_POOL_ABI, provider);
+
+  const [slot0, token0Address, token1Address, latestBlock] = await Promise.all([
+    pool.slot0(),
+    pool.token0(),
+    pool.token1(),
+    provider.getBlock("latest")
+  ]);
+  const token0 = new ethers.Contract(token0Address, ERC20_ABI, provider);
+  const token1 = new ethers.Contract(token1Address, ERC20_ABI, provider);
+  const [decimals0, decimals1, symbol0, symbol1] = await Promise.all([
+    token0.decimals(),
+    token1.decimals(),
+    token0.symbol().catch(() => "Unknown"),
+    token1.symbol().catch(() => "Unknown")
+  ]);
+
+  const oldestTimestamp = await getOldestObservationTimestamp(pool, slot0);
+  const maxWindow = Math.max(0, latestBlock.timestamp - oldestTimestamp);
+  const secondsPerObservation = slot0.observationCardinality > 1
+    ? maxWindow / (slot0.observationCardinality - 1)
+    : null;
+
+  const warnings = [];
+  const results = [];
+  for (const window of windows) {
+    const windowSeconds = parseWindow(window);
+    if (windowSeconds > maxWindow) {
+      const needed = secondsPerObservation
+        ? Math.ceil(windowSeconds / secondsPerObservation) + 1
+        : null;
+      warnings.push(
+        `Window ${window} (${windowSeconds}s) exceeds the oracle history of ${maxWindow}s ` +
+        `(observationCardinality ${slot0.observationCardinality}). ` +
+        (needed
+          ? `Call increaseObservationCardinalityNext(${needed}) on the pool to cover it.`
+          : `The pool stores a single observation; call increaseObservationCardinalityNext to enable TWAPs.`)
+      );
+      results.push({ window, seconds: windowSeconds, covered: false });
+      continue;
+    }
+    try {
+      results.push({
+        window,
+        seconds: windowSeconds,
+        covered: true,
+        ...await observeWindow(pool, windowSeconds, samples, decimals0, decimals1)
+      });
+    } catch (error) {
+      warnings.push(`observe() failed for window ${window}: ${error.reason || error.message}`);
+      results.push({ window, seconds: windowSeconds, covered: false });
+    }
+  }
+
+  const spotPrice = sqrtPriceX96ToPrice(slot0.sqrtPriceX96, decimals0, decimals1);
+
+  return {
+    chainId,
+    poolAddress,
+    pair: `${symbol0}/${symbol1}`,
+    spot: {
+      tick: slot0.tick,
+      token0Price: toNumber(spotPrice),
+      token1Price: toNumber(invertPrice(spotPrice))
+    },
+    oracle: {
+      observationIndex: slot0.observationIndex,
+      observationCardinality: slot0.observationCardinality,
+      observationCardinalityNext: slot0.observationCardinalityNext,
+      oldestObservation: new Date(oldestTimestamp * 1000).toISOString(),
+      maxWindowSeconds: maxWindow
+    },
+    windows: results,
+    warnings
+  };
+}
+
+module.exports = {
+  getPoolTwap,
+  DEFAULT_WINDOWS
+};
@@ -0,0 +1,223 @@
+const { ethers } = require("ethers");
+
+// Import chain configurations and token registry
+const CHAIN_CONFIGS = require('./chainConfigs');
+const { getTokenRegistry } = require('./tokenRegistry');
+const { sqrtPriceX96ToPrice, invertPrice, amountToUSD, usdToNumber, toNumber } = require('./poolMath');
+
+// Stablecoin used as the $1 anchor on each chain (symbol from the token registry)
+const USD_STABLECOINS = {
+  1: "USDC",
+  10: "USDC",
+  137: "USDC",
+  42161: "USDC",
+  42220: "USDC",
+  56: "USDT",
+  43114: "USDC",
+  8453: "USDC",
+  130: "USDC"
+};
+
+// Intermediate tokens a pricing path may walk through (symbols from the token registry)
+const PRICING_BASES = ["WETH", "WBTC", "USDT", "DAI"];
+
+// Uniswap V3 fee tiers to search for pools
+const FEE_TIERS = [100, 500, 3000, 10000];
+
+// Maximum number of pools in a pricing path
+const MAX_HOPS = 2;
+
+const FACTORY_ABI = [
+  "function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)"
+];
+const POOL_ABI = [
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function liquidity() view returns (uint128)",
+  "function token0() view returns (address)"
+];
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address) view returns (uint256)"
+];
+
+/**
+ * Create a USD pricer for one chain. Prices, pools and token info are memoized
+ * for the lifetime of the pricer, so create one per analysis run.
+ * @param {number} chainId - Chain ID
+ * @param {ethers.providers.Provider} provider - Ethers provider for the chain
+ * @returns {Object} Pricer with a getPrice(tokenAddress) method
+ */
+function createUSDPricer(chainId, provider) {
+  const config = CHAIN_CONFIGS[chainId];
+  if (!config) {
+    throw new Error(`Chain configuration not found for chainId ${chainId}`);
+  }
+
+  const tokens = getTokenRegistry().getTokenAddresses(chainId);
+  const stableSymbol = USD_STABLECOINS[chainId];
+  const stableAddress = stableSymbol && tokens[stableSymbol];
+  if (!stableAddress) {
+    throw new Error(`No USD stablecoin configured for ${config.name}`);
+  }
+  const stable = stableAddress.toLowerCase();
+
+  // Wrapped native token first, then the configured bases present on this chain
+  const bases = [...new Set([
+    config.weth.toLowerCase(),
+    ...PRICING_BASES.filter(symbol => tokens[symbol]).map(symbol => tokens[symbol].toLowerCase())
+  ])].filter(address => address !== stable);
+
+  const factory = new ethers.Contract(config.poolFactory, FACTORY_ABI, provider);
+  const tokenInfo = new Map();
+  const deepestPools = new Map();
+  const prices = new Map();
+
+  async function getTokenInfo(address) {
+    if (!tokenInfo.has(address)) {
+      const tokenContract = new ethers.Contract(address, ERC20_ABI, provider);
+      tokenInfo.set(address, Promise.all([
+        tokenContract.decimals(),
+        tokenContract.symbol().catch(() => "Unknown")
+      ]).then(([decimals, symbol]) => ({ address: ethers.utils.getAddress(address), decimals, symbol })));
+    }
+    return tokenInfo.get(address);
+  }
+
+  // Find the pool with the most in-range liquidity for a pair across all fee tiers
+  async function getDeepestPool(tokenA, tokenB) {
+    const key = [tokenA, tokenB].sort().join(':');
+    if (!deepestPools.has(key)) {
+      deepestPools.set(key, (async () => {
+        const poolAddresses = await Promise.all(
+          FEE_TIERS.map(fee => factory.getPool(tokenA, tokenB, fee).catch(() => ethers.constants.AddressZero))
+        );
+
+        let deepest = null;
+        for (let i = 0; i < FEE_TIERS.length; i++) {
+          if (poolAddresses[i] === ethers.constants.AddressZero) continue;
+          const pool = new ethers.Contract(poolAddresses[i], POOL_ABI, provider);
+          const [slot0, liquidity, token0] = await Promise.all([pool.slot0(), pool.liquidity(), pool.token0()]);
+          if (liquidity.isZero()) continue;
+          if (!deepest || liquidity.gt(deepest.liquidity)) {
+            deepest = {
+              address: poolAddresses[i],
+              fee: FEE_TIERS[i],
+              token0: token0.toLowerCase(),
+              sqrtPriceX96: slot0.sqrtPriceX96,
+              liquidity
+            };
+          }
+        }
+        return deepest;
+      })());
+    }
+    return deepestPools.get(key);
+  }
+
+  // Price `token` through the deepest pool against `quote`, whose USD price is already known
+  async function priceVia(token, quote, quotePrice) {
+    const pool = await getDeepestPool(token, quote);
+    if (!pool) return null;
+
+    const [tokenMeta, quoteMeta] = await Promise.all([getTokenInfo(token), getTokenInfo(quote)]);
+    const tokenIs0 = pool.token0 === token;
+    const decimals0 = tokenIs0 ? tokenMeta.decimals : quoteMeta.decimals;
+    const decimals1 = tokenIs0 ? quoteMeta.decimals : tokenMeta.decimals;
+
+    // Price of token0 in token1
+    const token0Price = sqrtPriceX96ToPrice(pool.sqrtPriceX96, decimals0, decimals1);
+    const exactPrice = tokenIs0 ? token0Price : invertPrice(token0Price);
+    const priceInQuote = exactPrice ? toNumber(exactPrice) : 0;
+    if (priceInQuote <= 0) return null;
+
+    // Depth is the USD value of the quote token held by the pool, capped by the rest of the path
+    const quoteBalance = await new ethers.Contract(quote, ERC20_ABI, provider).balanceOf(pool.address);
+    const poolDepthUSD = usdToNumber(amountToUSD(quoteBalance, quoteMeta.decimals, quotePrice.priceUSD));
+
+    return {
+      address: tokenMeta.address,
+      symbol: tokenMeta.symbol,
+      priceUSD: priceInQuote * quotePrice.priceUSD,
+      depthUSD: Math.min(poolDepthUSD, quotePrice.depthUSD),
+      path: [tokenMeta.symbol, ...quotePrice.path],
+      pools: [{
+        address: pool.address,
+        fee: pool.fee,
+        tokenIn: tokenMeta.address,
+        tokenOut: quoteMeta.address,
+        price: priceInQuote
+      }, ...quotePrice.pools]
+    };
+  }
+
+  async function resolvePrice(token, hops, visited) {
+    if (token === stable) {
+      const stableMeta = await getTokenInfo(stable);
+      return {
+        address: stableMeta.address,
+        symbol: stableMeta.symbol,
+        priceUSD: 1,
+        depthUSD: Infinity,
+        path: [stableMeta.symbol],
+        pools: []
+      };
+    }
+    if (hops === 0) return null;
+
+    const candidates = [priceVia(token, stable, await resolvePrice(stable, 0, visited))];
+    for (const base of bases) {
+      if (base === token || visited.has(base)) continue;
+      candidates.push((async () => {
+        const basePrice = await resolvePrice(base, hops - 1, new Set([...visited, token]));
+        return basePrice ? priceVia(token, base, basePrice) : null;
+      })());
+    }
+
+    // Pick the path whose shallowest pool is the deepest
+    let best = null;
+    for (const candidate of await Promise.all(candidates.map(c => c.catch(() => null)))) {
+      if (candidate && (!best || candidate.depthUSD > best.depthUSD)) best = candidate;
+    }
+    return best;
+  }
+
+  /**
+   * Get the USD price of a token by walking the deepest V3 pools to the chain's stablecoin
+   * @param {string} tokenAddress - Token address
+   * @returns {Promise<Object|null>} Price with the path and pools used, or null when no path exists
+   */
+  function getPrice(tokenAddress) {
+    const token = ethers.utils.getAddress(tokenAddress).toLowerCase();
+    if (!prices.has(token)) {
+      prices.set(token, resolvePrice(token, MAX_HOPS, new Set()));
+    }
+    return prices.get(token);
+  }
+
+  return { chainId, stablecoin: stableSymbol, getPrice };
+}
+
+/**
+ * Get the USD price of a single token from on-chain pools
+ * @param {Object} params - Parameters for the price query
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenAddress - Token address
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @returns {Promise<Object|null>} Price with the path and pools used, or null when no path exists
+ */
+async function getTokenUSDPrice({ chainId, tokenAddress, provider }) {
+  const config = CHAIN_CONFIGS[chainId];
+  if (!config) {
+    throw new Error(`Chain configuration not found for chainId ${chainId}`);
+  }
+  const pricer = createUSDPricer(chainId, provider || new ethers.providers.JsonRpcProvider(config.rpcUrl));
+  return pricer.getPrice(tokenAddress);
+}
+
+module.exports = {
+  createUSDPricer,
+  getTokenUSDPrice,
+  USD_STABLECOINS,
+  FEE_TIERS
+};
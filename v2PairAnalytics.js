@@ -0,0 +1,344 @@
+const { ethers } = require("ethers");
+
+const { getChainConfig, parseWindow, getPoolToken } = require('./poolAnalytics');
+const { createUSDPricer } = require('./usdPricing');
+const { fetchLogs } = require('./logFetcher');
+const { PoolEventStore } = require('./eventStore');
+const { summarizeTraders } = require('./traderAttribution');
+const { resolveTokenAddress } = require('./poolDiscovery');
+const { getBlockResolver } = require('./blockResolver');
+const { reservesToPrice, uq112x112ToPrice, normalizeAmount, amountToUSD, usdToNumber, toNumber } = require('./poolMath');
+
+const V2_PAIR_ABI = [
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function totalSupply() view returns (uint256)",
+  "function price0CumulativeLast() view returns (uint256)",
+  "function price1CumulativeLast() view returns (uint256)"
+];
+const V2_FACTORY_ABI = [
+  "function getPair(address tokenA, address tokenB) view returns (address pair)",
+  "event PairCreated(address indexed token0, address indexed token1, address pair, uint256)"
+];
+// Events recorded in the event store for V2 pairs
+const V2_PAIR_EVENTS_ABI = [
+  "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+  "event Mint(address indexed sender, uint256 amount0, uint256 amount1)",
+  "event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)"
+];
+
+// Every V2 swap pays 0.3% of its input
+const V2_FEE_TIER = 0.003;
+// LP tokens of V2 pairs always have 18 decimals
+const LP_DECIMALS = 18;
+
+const SECONDS_PER_DAY = 86400;
+const Q112 = 2n ** 112n;
+const Q256 = 2n ** 256n;
+const Q32 = 2n ** 32n;
+
+/**
+ * Price of token0 in token1 from raw reserves, exact until the final rounding
+ * @returns {number} Price of token0 in token1, 0 for an empty pair
+ */
+function reservePrice(reserve0, reserve1, decimals0, decimals1) {
+  const price = reservesToPrice(reserve0, reserve1, decimals0, decimals1);
+  return price ? toNumber(price) : 0;
+}
+
+/**
+ * Read a pair's cumulative prices at a block, extended to that block's timestamp
+ * the way UniswapV2OracleLibrary.currentCumulativePrices does
+ */
+async function getCumulativePrices(pair, blockTag, timestamp) {
+  const [reserves, price0Cumulative, price1Cumulative] = await Promise.all([
+    pair.getReserves({ blockTag }),
+    pair.price0CumulativeLast({ blockTag }),
+    pair.price1CumulativeLast({ blockTag })
+  ]);
+  let cumulative0 = BigInt(price0Cumulative.toString());
+  let cumulative1 = BigInt(price1Cumulative.toString());
+  const reserve0 = BigInt(reserves.reserve0.toString());
+  const reserve1 = BigInt(reserves.reserve1.toString());
+
+  // The accumulators only update on the first trade of a block; add the time since
+  const elapsed = ((BigInt(timestamp) - BigInt(reserves.blockTimestampLast)) % Q32 + Q32) % Q32;
+  if (elapsed > 0n && reserve0 > 0n && reserve1 > 0n) {
+    cumulative0 = (cumulative0 + (reserve1 * Q112 / reserve0) * elapsed) % Q256;
+    cumulative1 = (cumulative1 + (reserve0 * Q112 / reserve1) * elapsed) % Q256;
+  }
+  return { cumulative0, cumulative1, timestamp };
+}
+
+/**
+ * Time-weighted average prices between two cumulative price readings
+ */
+function cumulativeTwap(start, end, decimals0, decimals1) {
+  const seconds = end.timestamp - start.timestamp;
+  if (seconds <= 0) return null;
+  // The accumulators are allowed to overflow
+  const average = (a, b) => ((b - a) % Q256 + Q256) % Q256 / BigInt(seconds);
+  return {
+    seconds,
+    token0Price: toNumber(uq112x112ToPrice(average(start.cumulative0, end.cumulative0), decimals0, decimals1)),
+    token1Price: toNumber(uq112x112ToPrice(average(start.cumulative1, end.cumulative1), decimals1, decimals0))
+  };
+}
+
+/**
+ * Find the V2 pair of two tokens through the chain's V2 factory
+ * @param {Object} params - Parameters for the lookup
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenA - Token symbol from the token lists or address
+ * @param {string} params.tokenB - Token symbol from the token lists or address
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @returns {Promise<string|null>} Pair address, or null when the pair does not exist
+ */
+async function findV2Pair(params) {
+  const { chainId } = params;
+  const config = getChainConfig(chainId);
+  if (!config.v2Factory) {
+    throw new Error(`No Uniswap V2 factory configured for ${config.name}`);
+  }
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const factory = new ethers.Contract(config.v2Factory, V2_FACTORY_ABI, provider);
+
+  const pair = await factory.getPair(
+    resolveTokenAddress(chainId, params.tokenA),
+    resolveTokenAddress(chainId, params.tokenB)
+  );
+  return pair === ethers.constants.AddressZero ? null : pair;
+}
+
+/**
+ * Find the block in which the V2 factory created a pair
+ */
+async function findPairCreationBlock(provider, factoryAddress, { pairAddress, token0, token1 }, toBlock) {
+  const factoryIface = new ethers.utils.Interface(V2_FACTORY_ABI);
+  const logs = await fetchLogs(provider, {
+    address: factoryAddress,
+    fromBlock: 0,
+    toBlock,
+    topics: factoryIface.encodeFilterTopics("PairCreated", [token0, token1])
+  }, { chunkSize: toBlock + 1 });
+
+  const created = logs.find(log => factoryIface.parseLog(log).args.pair.toLowerCase() === pairAddress.toLowerCase());
+  return created ? created.blockNumber : null;
+}
+
+/**
+ * Analyze a Uniswap V2 pair on any chain from chainConfigs.js
+ * @param {Object} params - Parameters for the analysis
+ * @param {number} params.chainId - Chain ID of the pair
+ * @param {string} params.pairAddress - Uniswap V2 pair address
+ * @param {string|number} [params.window="24h"] - Lookback window for volume, fees, traders and the TWAP
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @param {Object} [params.pricer] - USD pricer from usdPricing.js to share across calls
+ * @param {PoolEventStore} [params.store] - Event store to use instead of the default one for the pair
+ * @returns {Promise<Object>} Pair metrics
+ */
+async function analyzeV2Pair(params) {
+  const { chainId, window = "24h" } = params;
+  const config = getChainConfig(chainId);
+  const windowSeconds = parseWindow(window);
+
+  if (!params.pairAddress || !ethers.utils.isAddress(params.pairAddress)) {
+    throw new Error(`Invalid pair address: ${params.pairAddress}`);
+  }
+  const pairAddress = ethers.utils.getAddress(params.pairAddress);
+
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const pair = new ethers.Contract(pairAddress, V2_PAIR_ABI, provider);
+  const store = params.store || new PoolEventStore({ chainId, poolAddress: pairAddress, provider, eventsAbi: V2_PAIR_EVENTS_ABI });
+
+  const [token0Address, token1Address, reserves, lpSupply] = await Promise.all([
+    pair.token0(),
+    pair.token1(),
+    pair.getReserves(),
+    pair.totalSupply()
+  ]);
+  const [token0, token1] = await Promise.all([
+    getPoolToken(token0Address, pairAddress, provider),
+    getPoolToken(token1Address, pairAddress, provider)
+  ]);
+  const decimals0 = token0.decimals;
+  const decimals1 = token1.decimals;
+
+  const reserve0 = normalizeAmount(reserves.reserve0, decimals0);
+  const reserve1 = normalizeAmount(reserves.reserve1, decimals1);
+  const token0Price = reservePrice(reserves.reserve0, reserves.reserve1, decimals0, decimals1);
+  const token1Price = reservePrice(reserves.reserve1, reserves.reserve0, decimals1, decimals0);
+
+  // USD prices from V3 pools; a long-tail token that only trades on V2 is priced through this pair
+  const pricer = params.pricer || createUSDPricer(chainId, provider);
+  const [pricing0, pricing1] = await Promise.all([
+    pricer.getPrice(token0.address).catch(() => null),
+    pricer.getPrice(token1.address).catch(() => null)
+  ]);
+  let usd0 = pricing0 ? pricing0.priceUSD : null;
+  let usd1 = pricing1 ? pricing1.priceUSD : null;
+  if (usd0 === null && usd1 !== null) usd0 = token0Price * usd1;
+  if (usd1 === null && usd0 !== null) usd1 = token1Price * usd0;
+  const priced = usd0 !== null && usd1 !== null;
+
+  const tvl = priced
+    ? usdToNumber(amountToUSD(reserves.reserve0, decimals0, usd0) + amountToUSD(reserves.reserve1, decimals1, usd1))
+    : 0;
+  const lpTotalSupply = Number(ethers.utils.formatUnits(lpSupply, LP_DECIMALS));
+
+  // --- Window boundaries ---
+  const blocks = getBlockResolver(chainId, provider);
+  const toBlock = await provider.getBlockNumber();
+  const toTimestamp = await blocks.getBlockTimestamp(toBlock);
+  let fromBlock;
+  try {
+    fromBlock = await blocks.findBlockAtOrAfter(toTimestamp - windowSeconds);
+  } catch (e) {
+    fromBlock = Math.max(0, toBlock - 5000); // fallback
+  }
+  const fromTimestamp = await blocks.getBlockTimestamp(fromBlock);
+
+  await store.sync({ fromBlock, toBlock });
+  const swapEvents = store.getEvents({ type: "Swap", fromBlock, toBlock });
+
+  // --- Volume, Buy/Sell Volume ---
+  // A buy takes token0 out of the pair in exchange for token1
+  let volume = 0n, buyVolume = 0n, sellVolume = 0n;
+  const trades = [];
+  for (const event of swapEvents) {
+    const { amount0In, amount1In, amount0Out, amount1Out } = event.args;
+    const toUSD = (amount0, amount1) => (priced
+      ? amountToUSD(amount0, decimals0, usd0) + amountToUSD(amount1, decimals1, usd1)
+      : 0n);
+
+    const isBuy = BigInt(amount0Out) > 0n;
+    const inputUSD = toUSD(amount0In, amount1In);
+    const outputUSD = toUSD(amount0Out, amount1Out);
+    const usd = inputUSD || outputUSD;
+
+    volume += usd;
+    if (isBuy) {
+      buyVolume += usd;
+    } else {
+      sellVolume += usd;
+    }
+    trades.push({ transactionHash: event.transactionHash, sender: event.args.sender, usd: usdToNumber(usd), isBuy });
+  }
+  const volumeUSD = usdToNumber(volume);
+  const buyVolumeUSD = usdToNumber(buyVolume);
+  const sellVolumeUSD = usdToNumber(sellVolume);
+
+  const traders = summarizeTraders(trades, {
+    chainId,
+    transactions: await store.getTransactions(swapEvents.map(event => event.transactionHash))
+  });
+
+  // Annualized over the seconds the blocks cover, which differ from the window after the fallback
+  const feesUSD = volumeUSD * V2_FEE_TIER;
+  const yearlyFees = feesUSD * (365 * SECONDS_PER_DAY / Math.max(1, toTimestamp - fromTimestamp));
+  const apr = tvl > 0 ? (yearlyFees / tvl) * 100 : 0;
+  const warnings = [];
+
+  // --- TWAP from the cumulative price accumulators ---
+  // Historical reads need an archive node
+  let twap = null;
+  try {
+    const [start, end] = await Promise.all([
+      getCumulativePrices(pair, fromBlock, fromTimestamp),
+      getCumulativePrices(pair, toBlock, toTimestamp)
+    ]);
+    twap = cumulativeTwap(start, end, decimals0, decimals1);
+  } catch (e) {
+    warnings.push(`Failed to read cumulative prices for the window: ${e.message}`);
+  }
+
+  // --- Pair Age Calculation ---
+  let poolAgeDays = null;
+  try {
+    let createdBlock = store.getMetadata("createdBlock");
+    if (createdBlock === undefined && config.v2Factory) {
+      createdBlock = await findPairCreationBlock(provider, config.v2Factory, {
+        pairAddress,
+        token0: token0.address,
+        token1: token1.address
+      }, toBlock);
+      if (createdBlock !== null) {
+        store.setMetadata("createdBlock", createdBlock);
+        store.save();
+      }
+    }
+    if (createdBlock !== null && createdBlock !== undefined) {
+      const timestamps = await store.getBlockTimestamps([createdBlock]);
+      poolAgeDays = (toTimestamp - timestamps[createdBlock]) / SECONDS_PER_DAY;
+    }
+  } catch (e) {
+    warnings.push(`Failed to find pair creation block: ${e.message}`);
+  }
+
+  const formatToken = (token, pricing, usdPrice, reserve) => ({
+    address: token.address,
+    symbol: token.symbol,
+    decimals: token.decimals,
+    reserve,
+    priceUSD: usdPrice,
+    priceSource: pricing
+      ? { path: pricing.path, pools: pricing.pools, depthUSD: pricing.depthUSD }
+      : (usdPrice !== null ? { path: ["V2 pair"], pools: [pairAddress], depthUSD: null } : null),
+    fdvUSD: usdPrice !== null ? usdToNumber(amountToUSD(token.totalSupply, token.decimals, usdPrice)) : null
+  });
+
+  return {
+    protocol: "v2",
+    chainId,
+    chainName: config.name,
+    pairAddress,
+    pair: `${token0.symbol}/${token1.symbol}`,
+    token0: formatToken(token0, pricing0, usd0, reserve0),
+    token1: formatToken(token1, pricing1, usd1, reserve1),
+    feeTier: V2_FEE_TIER,
+    price: {
+      token0Price,
+      token1Price
+    },
+    twap,
+    reserves: {
+      reserve0: reserves.reserve0.toString(),
+      reserve1: reserves.reserve1.toString(),
+      blockTimestampLast: reserves.blockTimestampLast
+    },
+    lpToken: {
+      totalSupply: lpTotalSupply,
+      priceUSD: lpTotalSupply > 0 && priced ? tvl / lpTotalSupply : null
+    },
+    tvlUSD: tvl,
+    window: {
+      seconds: windowSeconds,
+      fromBlock,
+      toBlock,
+      fromTime: new Date(fromTimestamp * 1000).toISOString(),
+      toTime: new Date(toTimestamp * 1000).toISOString()
+    },
+    volumeUSD,
+    buyVolumeUSD,
+    sellVolumeUSD,
+    feesUSD,
+    apr,
+    swapCount: swapEvents.length,
+    poolAgeDays,
+    makers: traders.uniqueTraders,
+    buyers: traders.buyers,
+    sellers: traders.sellers,
+    traders,
+    warnings
+  };
+}
+
+module.exports = {
+  analyzeV2Pair,
+  findV2Pair,
+  reservePrice,
+  V2_PAIR_ABI,
+  V2_PAIR_EVENTS_ABI,
+  V2_FEE_TIER
+};
@@ -0,0 +1,510 @@
+const { ethers } = require("ethers");
+
+const {
+  getChainConfig,
+  parseWindow,
+  getFeeGrowthApr,
+  ERC20_ABI
+} = require('./poolAnalytics');
+const { createUSDPricer } = require('./usdPricing');
+const { fetchLogs } = require('./logFetcher');
+const { PoolEventStore } = require('./eventStore');
+const { summarizeTraders } = require('./traderAttribution');
+const { summarizeLiquidityFlows } = require('./liquidityFlows');
+const { getBlockResolver } = require('./blockResolver');
+const {
+  sqrtPriceX96ToPrice,
+  tickToSqrtPriceX96,
+  getAmountsForLiquidity,
+  invertPrice,
+  normalizeAmount,
+  amountToUSD,
+  usdToNumber,
+  toNumber
+} = require('./poolMath');
+
+const POOL_MANAGER_ABI = [
+  "function extsload(bytes32 slot) view returns (bytes32)",
+  "function extsload(bytes32[] slots) view returns (bytes32[])",
+  "event Initialize(bytes32 indexed id, address indexed currency0, address indexed currency1, uint24 fee, int24 tickSpacing, address hooks, uint160 sqrtPriceX96, int24 tick)"
+];
+// Events recorded in the event store for V4 pools, filtered by pool ID
+const V4_POOL_EVENTS_ABI = [
+  "event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)",
+  "event ModifyLiquidity(bytes32 indexed id, address indexed sender, int24 tickLower, int24 tickUpper, int256 liquidityDelta, bytes32 salt)"
+];
+
+// PoolManager storage layout, as read by v4-core's StateLibrary
+const POOLS_SLOT = 6;
+const FEE_GROWTH_GLOBAL0_OFFSET = 1;
+const LIQUIDITY_OFFSET = 3;
+const TICKS_OFFSET = 4;
+const TICK_BITMAP_OFFSET = 5;
+
+// A fee of 0x800000 in the PoolKey marks a pool whose hook sets the fee
+const DYNAMIC_FEE_FLAG = 0x800000;
+
+// Hook permissions are encoded in the lowest 14 bits of the hook address
+const HOOK_PERMISSIONS = [
+  "beforeInitialize",
+  "afterInitialize",
+  "beforeAddLiquidity",
+  "afterAddLiquidity",
+  "beforeRemoveLiquidity",
+  "afterRemoveLiquidity",
+  "beforeSwap",
+  "afterSwap",
+  "beforeDonate",
+  "afterDonate",
+  "beforeSwapReturnDelta",
+  "afterSwapReturnDelta",
+  "afterAddLiquidityReturnDelta",
+  "afterRemoveLiquidityReturnDelta"
+];
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const SECONDS_PER_DAY = 86400;
+
+// Storage slots read per extsload call
+const EXTSLOAD_BATCH = 500;
+
+const abiCoder = ethers.utils.defaultAbiCoder;
+const mappingSlot = (key, slot) => ethers.utils.keccak256(abiCoder.encode(["int256", "bytes32"], [key, slot]));
+const offsetSlot = (slot, offset) => ethers.utils.hexZeroPad(ethers.BigNumber.from(slot).add(offset).toHexString(), 32);
+
+/**
+ * Compute the pool ID of a V4 PoolKey
+ * @param {Object} poolKey - currency0, currency1, fee, tickSpacing and hooks
+ * @returns {string} Pool ID (bytes32)
+ */
+function getPoolId(poolKey) {
+  return ethers.utils.keccak256(abiCoder.encode(
+    ["address", "address", "uint24", "int24", "address"],
+    [poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks]
+  ));
+}
+
+/**
+ * List the permissions a hook address enables
+ * @param {string} hooks - Hook contract address
+ * @returns {string[]} Enabled permissions, e.g. ["beforeSwap", "afterSwap"]
+ */
+function getHookPermissions(hooks) {
+  const flags = Number(BigInt(hooks) & 0x3fffn);
+  return HOOK_PERMISSIONS.filter((_, i) => flags & (1 << (HOOK_PERMISSIONS.length - 1 - i)));
+}
+
+/**
+ * Reads a V4 pool's state directly from PoolManager storage with extsload
+ */
+class V4PoolState {
+  constructor(poolManager, poolId) {
+    this.poolManager = poolManager;
+    this.stateSlot = ethers.utils.keccak256(abiCoder.encode(["bytes32", "uint256"], [poolId, POOLS_SLOT]));
+  }
+
+  async load(slots, blockTag) {
+    const results = [];
+    for (let i = 0; i < slots.length; i += EXTSLOAD_BATCH) {
+      results.push(...await this.poolManager["extsload(bytes32[])"](slots.slice(i, i + EXTSLOAD_BATCH), { blockTag }));
+    }
+    return results.map(value => BigInt(value));
+  }
+
+  /**
+   * Slot0: sqrtPriceX96, tick, protocolFee and lpFee packed into one word
+   */
+  async getSlot0(blockTag) {
+    const [word] = await this.load([this.stateSlot], blockTag);
+    return {
+      sqrtPriceX96: ethers.BigNumber.from((word & ((1n << 160n) - 1n)).toString()),
+      tick: Number(BigInt.asIntN(24, word >> 160n)),
+      protocolFee: Number((word >> 184n) & 0xffffffn),
+      lpFee: Number((word >> 208n) & 0xffffffn)
+    };
+  }
+
+  async getLiquidity(blockTag) {
+    const [word] = await this.load([offsetSlot(this.stateSlot, LIQUIDITY_OFFSET)], blockTag);
+    return word;
+  }
+
+  async getFeeGrowthGlobals(blockTag) {
+    const [feeGrowth0, feeGrowth1] = await this.load([
+      offsetSlot(this.stateSlot, FEE_GROWTH_GLOBAL0_OFFSET),
+      offsetSlot(this.stateSlot, FEE_GROWTH_GLOBAL0_OFFSET + 1)
+    ], blockTag);
+    return { feeGrowth0, feeGrowth1 };
+  }
+
+  /**
+   * All initialized ticks of the pool, read from the tick bitmap in batches
+   * @param {number} tickSpacing - Pool tick spacing
+   * @returns {Promise<Array<Object>>} Ticks with liquidityNet (BigInt), ascending
+   */
+  async getInitializedTicks(tickSpacing) {
+    const bitmapSlot = offsetSlot(this.stateSlot, TICK_BITMAP_OFFSET);
+    const ticksSlot = offsetSlot(this.stateSlot, TICKS_OFFSET);
+    const firstWord = Math.floor(MIN_TICK / tickSpacing) >> 8;
+    const lastWord = Math.floor(MAX_TICK / tickSpacing) >> 8;
+
+    const words = [];
+    for (let word = firstWord; word <= lastWord; word++) words.push(word);
+    const bitmaps = await this.load(words.map(word => mappingSlot(word, bitmapSlot)));
+
+    const ticks = [];
+    words.forEach((word, i) => {
+      const bitmap = bitmaps[i];
+      if (bitmap === 0n) return;
+      for (let bit = 0; bit < 256; bit++) {
+        if ((bitmap >> BigInt(bit)) & 1n) ticks.push((word * 256 + bit) * tickSpacing);
+      }
+    });
+
+    // The first word of Tick.Info packs liquidityGross (low 128 bits) and liquidityNet (high 128 bits)
+    const infos = await this.load(ticks.map(tick => mappingSlot(tick, ticksSlot)));
+    return ticks.map((tick, i) => ({ tick, liquidityNet: BigInt.asIntN(128, infos[i] >> 128n) }));
+  }
+}
+
+/**
+ * Token amounts (raw units) held by liquidity over a tick range at a sqrt price
+ */
+function amountsForLiquidity(liquidity, sqrtPriceX96, tickLower, tickUpper) {
+  return getAmountsForLiquidity(sqrtPriceX96, tickToSqrtPriceX96(tickLower), tickToSqrtPriceX96(tickUpper), liquidity);
+}
+
+/**
+ * Token amounts (raw units, BigInt) locked in a pool, summed over its whole liquidity curve
+ */
+function getLockedAmounts(ticks, sqrtPriceX96) {
+  let liquidity = 0n;
+  let amount0 = 0n;
+  let amount1 = 0n;
+  for (let i = 0; i < ticks.length - 1; i++) {
+    liquidity += ticks[i].liquidityNet;
+    if (liquidity === 0n) continue;
+    const amounts = amountsForLiquidity(liquidity, sqrtPriceX96, ticks[i].tick, ticks[i + 1].tick);
+    amount0 += amounts.amount0;
+    amount1 += amounts.amount1;
+  }
+  return { amount0, amount1 };
+}
+
+/**
+ * Find a pool's PoolKey and creation block from its Initialize event
+ */
+async function findPoolKey(provider, poolManagerAddress, poolId, toBlock) {
+  const iface = new ethers.utils.Interface(POOL_MANAGER_ABI);
+  // The pool ID is indexed, so one request over the whole chain stays small
+  const logs = await fetchLogs(provider, {
+    address: poolManagerAddress,
+    fromBlock: 0,
+    toBlock,
+    topics: iface.encodeFilterTopics("Initialize", [poolId])
+  }, { chunkSize: toBlock + 1 });
+
+  if (logs.length === 0) {
+    throw new Error(`No V4 pool with ID ${poolId} was initialized on PoolManager ${poolManagerAddress}`);
+  }
+  const { args } = iface.parseLog(logs[0]);
+  return {
+    poolKey: {
+      currency0: args.currency0,
+      currency1: args.currency1,
+      fee: args.fee,
+      tickSpacing: args.tickSpacing,
+      hooks: args.hooks
+    },
+    createdBlock: logs[0].blockNumber
+  };
+}
+
+/**
+ * Read symbol, decimals and total supply of a pool currency; address 0 is the native currency
+ */
+async function getCurrency(chainId, address, provider) {
+  if (address === ethers.constants.AddressZero) {
+    return { address, symbol: getChainConfig(chainId).nativeSymbol, decimals: 18, totalSupply: null, native: true };
+  }
+  const tokenContract = new ethers.Contract(address, ERC20_ABI, provider);
+  const [decimals, symbol, totalSupply] = await Promise.all([
+    tokenContract.decimals(),
+    tokenContract.symbol().catch(() => "Unknown"),
+    tokenContract.totalSupply()
+  ]);
+  return { address, symbol, decimals, totalSupply, native: false };
+}
+
+/**
+ * Analyze a Uniswap V4 pool on the chain's singleton PoolManager. The result
+ * has the same shape as analyzePool's, with the pool ID in place of a pool address.
+ * @param {Object} params - Parameters for the analysis
+ * @param {number} params.chainId - Chain ID of the pool
+ * @param {string} [params.poolId] - Pool ID (bytes32); required unless poolKey is given
+ * @param {Object} [params.poolKey] - PoolKey: currency0, currency1, fee, tickSpacing, hooks
+ * @param {string|number} [params.window="24h"] - Lookback window for volume, fees and traders
+ * @param {ethers.providers.Provider} [params.provider] - Provider to use instead of the chain RPC
+ * @param {Object} [params.pricer] - USD pricer from usdPricing.js to share across calls
+ * @param {PoolEventStore} [params.store] - Event store to use instead of the default one for the pool
+ * @returns {Promise<Object>} Pool metrics
+ */
+async function analyzeV4Pool(params) {
+  const { chainId, window = "24h" } = params;
+  const config = getChainConfig(chainId);
+  if (!config.v4PoolManager) {
+    throw new Error(`No Uniswap V4 PoolManager configured for ${config.name}`);
+  }
+  const windowSeconds = parseWindow(window);
+
+  const poolId = params.poolKey ? getPoolId(params.poolKey) : params.poolId;
+  if (!poolId || !ethers.utils.isHexString(poolId, 32)) {
+    throw new Error(`Invalid V4 pool ID: ${poolId}`);
+  }
+
+  const provider = params.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+  const poolManager = new ethers.Contract(config.v4PoolManager, POOL_MANAGER_ABI, provider);
+  const state = new V4PoolState(poolManager, poolId);
+  const store = params.store || new PoolEventStore({
+    chainId,
+    poolAddress: config.v4PoolManager,
+    poolId,
+    provider,
+    eventsAbi: V4_POOL_EVENTS_ABI
+  });
+
+  const blocks = getBlockResolver(chainId, provider);
+  const toBlock = await provider.getBlockNumber();
+  const toTimestamp = await blocks.getBlockTimestamp(toBlock);
+
+  // The PoolKey and creation block never change, so they are looked up once and kept in the store
+  let poolKey = params.poolKey || store.getMetadata("poolKey");
+  let createdBlock = store.getMetadata("createdBlock");
+  if (!poolKey || createdBlock === undefined) {
+    const found = await findPoolKey(provider, config.v4PoolManager, poolId, toBlock);
+    poolKey = poolKey || found.poolKey;
+    createdBlock = found.createdBlock;
+    store.setMetadata("poolKey", poolKey);
+    store.setMetadata("createdBlock", createdBlock);
+    store.save();
+  }
+
+  const [slot0, liquidity, ticks, token0, token1] = await Promise.all([
+    state.getSlot0(),
+    state.getLiquidity(),
+    state.getInitializedTicks(poolKey.tickSpacing),
+    getCurrency(chainId, poolKey.currency0, provider),
+    getCurrency(chainId, poolKey.currency1, provider)
+  ]);
+  const sqrtPriceX96 = slot0.sqrtPriceX96;
+  const tick = slot0.tick;
+  const decimals0 = token0.decimals;
+  const decimals1 = token1.decimals;
+
+  // All V4 pools share the PoolManager's balances, so pool balances come from the liquidity curve
+  const locked = getLockedAmounts(ticks, BigInt(sqrtPriceX96.toString()));
+  const balance0Norm = normalizeAmount(locked.amount0, decimals0);
+  const balance1Norm = normalizeAmount(locked.amount1, decimals1);
+
+  const price0 = sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1);
+  const price1 = invertPrice(price0);
+  const token0Price = toNumber(price0);
+  const token1Price = price1 ? toNumber(price1) : null;
+
+  // The native currency is priced as its wrapped token
+  const pricer = params.pricer || createUSDPricer(chainId, provider);
+  const priceOf = token => pricer.getPrice(token.native ? config.weth : token.address).catch(() => null);
+  const [pricing0, pricing1] = await Promise.all([priceOf(token0), priceOf(token1)]);
+  const usd0 = pricing0 ? pricing0.priceUSD : 0;
+  const usd1 = pricing1 ? pricing1.priceUSD : 0;
+
+  const tvl = usdToNumber(amountToUSD(locked.amount0, decimals0, usd0) + amountToUSD(locked.amount1, decimals1, usd1));
+
+  const dynamicFee = poolKey.fee === DYNAMIC_FEE_FLAG;
+  const feeTier = slot0.lpFee / 1e6;
+  const hookPermissions = getHookPermissions(poolKey.hooks);
+  const warnings = [];
+  if (hookPermissions.includes("beforeSwapReturnDelta") || hookPermissions.includes("afterSwapReturnDelta")) {
+    warnings.push("The pool's hook can change swap amounts; volume from Swap events may not match what traders paid");
+  }
+
+  // --- Window boundaries ---
+  let fromBlock;
+  try {
+    fromBlock = await blocks.findBlockAtOrAfter(toTimestamp - windowSeconds);
+  } catch (e) {
+    fromBlock = Math.max(0, toBlock - 5000); // fallback
+  }
+  fromBlock = Math.max(fromBlock, createdBlock);
+  const fromTimestamp = await blocks.getBlockTimestamp(fromBlock);
+
+  await store.sync({ fromBlock, toBlock });
+  const events = store.getEvents({ type: ["Swap", "ModifyLiquidity"], fromBlock, toBlock });
+  const swapEvents = events.filter(event => event.type === "Swap");
+
+  // --- Volume, Buy/Sell Volume, Fees ---
+  // V4 amounts are from the swapper's side: a buy takes token0 out (amount0 > 0) for token1.
+  // Each swap carries its own fee, which dynamic-fee hooks may change from swap to swap.
+  let volume = 0n, buyVolume = 0n, sellVolume = 0n, fees = 0n;
+  const trades = [];
+  for (const event of swapEvents) {
+    const amount0 = BigInt(event.args.amount0.toString());
+    const amount1 = BigInt(event.args.amount1.toString());
+    const usdOf0 = amountToUSD(amount0 < 0n ? -amount0 : amount0, decimals0, usd0);
+    const usdOf1 = amountToUSD(amount1 < 0n ? -amount1 : amount1, decimals1, usd1);
+
+    const isBuy = amount0 > 0n;
+    const inputUSD = isBuy ? usdOf1 : usdOf0;
+    const outputUSD = isBuy ? usdOf0 : usdOf1;
+    const usd = inputUSD || outputUSD;
+
+    volume += usd;
+    fees += usd * BigInt(event.args.fee) / 1000000n;
+    if (isBuy) {
+      buyVolume += usd;
+    } else {
+      sellVolume += usd;
+    }
+    trades.push({ transactionHash: event.transactionHash, sender: event.args.sender, usd: usdToNumber(usd), isBuy });
+  }
+  const volumeUSD = usdToNumber(volume);
+  const buyVolumeUSD = usdToNumber(buyVolume);
+  const sellVolumeUSD = usdToNumber(sellVolume);
+  const feesUSD = usdToNumber(fees);
+
+  // Annualized over the seconds the blocks cover: the window may start before the pool existed
+  const yearlyFees = feesUSD * (365 * SECONDS_PER_DAY / Math.max(1, toTimestamp - fromTimestamp));
+  const apr = tvl > 0 ? (yearlyFees / tvl) * 100 : 0;
+
+  let feeGrowthApr = null;
+  try {
+    // Adapter so the V3 fee growth APR can read V4 storage
+    const feeGrowthReader = {
+      feeGrowthGlobal0X128: async ({ blockTag }) => (await state.getFeeGrowthGlobals(blockTag)).feeGrowth0,
+      feeGrowthGlobal1X128: async ({ blockTag }) => (await state.getFeeGrowthGlobals(blockTag)).feeGrowth1
+    };
+    feeGrowthApr = await getFeeGrowthApr(
+      feeGrowthReader,
+      { fromBlock, toBlock, seconds: toTimestamp - fromTimestamp },
+      { sqrtPriceX96, tick, tickSpacing: poolKey.tickSpacing }
+    );
+  } catch (e) {
+    warnings.push(`Failed to read fee growth for the window: ${e.message}`);
+  }
+
+  // --- Traders and liquidity flows ---
+  // The PoolManager is only called from unlock callbacks, so event senders are contracts; the transaction sender is the trader or LP
+  const transactions = await store.getTransactions(events.map(event => event.transactionHash));
+  const traders = summarizeTraders(trades, { chainId, transactions });
+
+  // ModifyLiquidity has no token amounts; they follow from the liquidity delta at the price of the latest swap before it
+  let eventSqrtPrice = null;
+  const liquidityEvents = [];
+  for (const event of events) {
+    if (event.type === "Swap") {
+      eventSqrtPrice = BigInt(event.args.sqrtPriceX96);
+      continue;
+    }
+    const delta = BigInt(event.args.liquidityDelta);
+    const amount = delta < 0n ? -delta : delta;
+    const tickLower = Number(event.args.tickLower);
+    const tickUpper = Number(event.args.tickUpper);
+    const amounts = amountsForLiquidity(amount, eventSqrtPrice !== null ? eventSqrtPrice : BigInt(sqrtPriceX96.toString()), tickLower, tickUpper);
+    const tx = transactions[event.transactionHash];
+    liquidityEvents.push({
+      ...event,
+      type: delta >= 0n ? "Mint" : "Burn",
+      args: {
+        owner: tx ? tx.from : event.args.sender,
+        tickLower,
+        tickUpper,
+        amount: amount.toString(),
+        amount0: amounts.amount0.toString(),
+        amount1: amounts.amount1.toString()
+      }
+    });
+  }
+  const liquidityFlows = summarizeLiquidityFlows(liquidityEvents, { decimals0, decimals1, usd0, usd1 });
+
+  // --- FDV Calculation ---
+  const fdv = (token, usd) => (token.totalSupply !== null ? usdToNumber(amountToUSD(token.totalSupply, token.decimals, usd)) : null);
+  const fdv0 = fdv(token0, usd0);
+  const fdv1 = fdv(token1, usd1);
+
+  const timestamps = await store.getBlockTimestamps([createdBlock]);
+  const poolAgeDays = (toTimestamp - timestamps[createdBlock]) / SECONDS_PER_DAY;
+
+  const formatToken = (token, pricing, balanceNorm, fdvUSD) => ({
+    address: token.address,
+    symbol: token.symbol,
+    decimals: token.decimals,
+    balance: balanceNorm,
+    priceUSD: pricing ? pricing.priceUSD : null,
+    priceSource: pricing ? { path: pricing.path, pools: pricing.pools, depthUSD: pricing.depthUSD } : null,
+    fdvUSD
+  });
+
+  return {
+    protocol: "v4",
+    chainId,
+    chainName: config.name,
+    poolAddress: poolId,
+    poolId,
+    poolManager: config.v4PoolManager,
+    poolKey: {
+      currency0: poolKey.currency0,
+      currency1: poolKey.currency1,
+      fee: poolKey.fee,
+      tickSpacing: poolKey.tickSpacing,
+      hooks: poolKey.hooks
+    },
+    hooks: {
+      address: poolKey.hooks,
+      permissions: hookPermissions
+    },
+    dynamicFee,
+    pair: `${token0.symbol}/${token1.symbol}`,
+    token0: formatToken(token0, pricing0, balance0Norm, fdv0),
+    token1: formatToken(token1, pricing1, balance1Norm, fdv1),
+    feeTier,
+    protocolFee: slot0.protocolFee,
+    price: {
+      token0Price,
+      token1Price
+    },
+    tick,
+    liquidity: liquidity.toString(),
+    tvlUSD: tvl,
+    window: {
+      seconds: windowSeconds,
+      fromBlock,
+      toBlock,
+      fromTime: new Date(fromTimestamp * 1000).toISOString(),
+      toTime: new Date(toTimestamp * 1000).toISOString()
+    },
+    volumeUSD,
+    buyVolumeUSD,
+    sellVolumeUSD,
+    feesUSD,
+    apr,
+    feeGrowthApr,
+    swapCount: swapEvents.length,
+    liquidityFlows,
+    poolAgeDays,
+    makers: traders.uniqueTraders,
+    buyers: traders.buyers,
+    sellers: traders.sellers,
+    traders,
+    warnings
+  };
+}
+
+module.exports = {
+  analyzeV4Pool,
+  getPoolId,
+  getHookPermissions,
+  V4PoolState,
+  V4_POOL_EVENTS_ABI,
+  DYNAMIC_FEE_FLAG
+};